@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) 2026 HIS eG - Tim Wahrendorff
+ * Licensed under the MIT License (http://opensource.org/licenses/MIT)
+ *
+ * Executable for the pfw-clean command — see src/js/cli/pfw-clean.js.
+ */
+import { run } from '../src/js/cli/pfw-clean.js';
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
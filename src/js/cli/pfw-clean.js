@@ -0,0 +1,221 @@
+/**
+ * Copyright (c) 2026 HIS eG - Tim Wahrendorff
+ * Licensed under the MIT License (http://opensource.org/licenses/MIT)
+ *
+ * pfw-clean
+ *
+ * Command-line front end for WordCleaner. Cleans saved Word/Excel HTML with
+ * exactly the rules the Summernote plugin applies on paste — by default only
+ * content whose detectSource() confidence reaches the plugin's default
+ * detectionThreshold is changed, like in the editor.
+ *
+ * The executable wrapper lives in bin/pfw-clean.mjs.
+ */
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import WordCleaner from '../plugin/paste-from-word.js';
+
+export const USAGE = `Usage: pfw-clean [options] [input...]
+
+Cleans HTML pasted from Microsoft Word/Excel with the paste-from-word rules.
+Reads stdin when no input is given (or input is "-").
+
+  pfw-clean input.html -o out.html      clean one file
+  pfw-clean < input.html > out.html     clean stdin to stdout
+  pfw-clean legacy/ -o cleaned/         clean every .html/.htm file in a directory
+  pfw-clean --in-place legacy/          overwrite the input files
+  pfw-clean --detect input.html         only report the detected source and confidence
+
+Options:
+  -o, --output <path>   output file, or output directory in batch mode
+  -i, --in-place        overwrite input files instead of writing to --output
+  -d, --detect          print detection results as JSON lines, write nothing
+  -f, --force           clean files even when no Word/Excel markup is detected
+  -t, --threshold <n>   minimum detection confidence (0–1) for cleaning, default 0.5
+  -c, --config <file>   JSON file with WordCleaner options (same as pasteFromWord)
+  -h, --help            show this help
+`;
+
+const HTML_FILE = /\.html?$/i;
+
+// Same default as the plugin's detectionThreshold option
+const DEFAULT_THRESHOLD = 0.5;
+
+class UsageError extends Error {}
+
+/**
+ * Import an optional dependency and return `getParser(module)`, or null when
+ * the package is not installed. Any other failure — a broken install, a Node
+ * version the package does not support — is rethrown with the package name,
+ * as installing it would not help. The name is passed in a variable so that
+ * bundlers and test runners do not try to resolve a package that is missing.
+ */
+async function importOptional(name, getParser) {
+  try {
+    return getParser(await import(name));
+  } catch (e) {
+    if (e.code === 'ERR_MODULE_NOT_FOUND' && e.message.includes(`'${name}'`)) return null;
+    throw new Error(`cannot load ${name}: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve a DOMParser for Node — the global one when present (e.g. under a
+ * test environment), otherwise jsdom or linkedom, whichever is installed.
+ */
+async function loadDomParser() {
+  if (typeof DOMParser !== 'undefined') return DOMParser;
+  const parser = await importOptional('jsdom', ({ JSDOM }) => new JSDOM().window.DOMParser) ||
+    await importOptional('linkedom', linkedom => linkedom.DOMParser);
+  if (!parser) throw new Error('no DOM implementation found — install jsdom or linkedom');
+  return parser;
+}
+
+/**
+ * Recursively list the HTML files below `dir`, sorted for stable output.
+ */
+async function listHtmlFiles(dir) {
+  const files = [];
+  const entries = await readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listHtmlFiles(full));
+    else if (entry.isFile() && HTML_FILE.test(entry.name)) files.push(full);
+  }
+  return files;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Expand the positional inputs into jobs of { input, output } where output
+ * is a file path, or null for stdout.
+ */
+async function planJobs(inputs, values) {
+  if (!inputs.length) inputs = ['-'];
+  if (inputs.includes('-')) {
+    if (inputs.length > 1) throw new UsageError('stdin ("-") cannot be combined with other inputs');
+    if (values['in-place']) throw new UsageError('--in-place cannot be used with stdin');
+    return [{ input: '-', output: values.output || null }];
+  }
+
+  const jobs = [];
+  let batch = inputs.length > 1;
+  for (const input of inputs) {
+    const info = await stat(input);
+    if (info.isDirectory()) {
+      batch = true;
+      (await listHtmlFiles(input)).forEach(file => {
+        jobs.push({ input: file, relative: path.relative(input, file) });
+      });
+    } else {
+      jobs.push({ input, relative: path.basename(input) });
+    }
+  }
+
+  if (values['in-place']) {
+    if (values.output) throw new UsageError('--in-place and --output are mutually exclusive');
+    return jobs.map(job => ({ input: job.input, output: job.input }));
+  }
+  if (!batch) return [{ input: jobs[0].input, output: values.output || null }];
+  if (values.detect) return jobs.map(job => ({ input: job.input, output: null }));
+  if (!values.output) throw new UsageError('batch mode needs --output <dir> or --in-place');
+  return jobs.map(job => ({ input: job.input, output: path.join(values.output, job.relative) }));
+}
+
+/**
+ * Run the CLI. Returns the process exit code: 0 on success, 1 on a processing
+ * error (in batch mode after all other files were processed), 2 on a usage
+ * error.
+ *
+ * @param {string[]} argv  arguments without the node/script entries
+ * @param {Object} [io]    { stdin, stdout, stderr } streams, for testing
+ */
+export async function run(argv, io = process) {
+  const { stdin, stdout, stderr } = io;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        'in-place': { type: 'boolean', short: 'i' },
+        detect: { type: 'boolean', short: 'd' },
+        force: { type: 'boolean', short: 'f' },
+        threshold: { type: 'string', short: 't' },
+        config: { type: 'string', short: 'c' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    stderr.write(`pfw-clean: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    const threshold = values.threshold === undefined ? DEFAULT_THRESHOLD : Number(values.threshold);
+    if (values.threshold !== undefined && !(values.threshold.trim() && threshold >= 0 && threshold <= 1)) {
+      throw new UsageError(`--threshold must be a number from 0 to 1, got "${values.threshold}"`);
+    }
+    const jobs = await planJobs(positionals, values);
+    const options = values.config ? JSON.parse(await readFile(values.config, 'utf8')) : {};
+    const cleaner = new WordCleaner({ domParser: await loadDomParser(), ...options });
+
+    let cleanedCount = 0;
+    const failed = [];
+    for (const { input, output } of jobs) {
+      try {
+        const html = input === '-' ? await readStream(stdin) : await readFile(input, 'utf8');
+
+        const detection = cleaner.detectSource(html);
+        if (values.detect) {
+          const result = { source: detection.source, confidence: detection.confidence };
+          stdout.write(JSON.stringify(input === '-' ? result : { file: input, ...result }) + '\n');
+          continue;
+        }
+
+        // Cleaned like a paste in the editor: a detected source, confident enough
+        const detected = detection.source !== null && detection.confidence >= threshold;
+        const result = detected || values.force ? cleaner.clean(html) : html;
+
+        if (output) {
+          await mkdir(path.dirname(output), { recursive: true });
+          await writeFile(output, result);
+        } else {
+          stdout.write(result);
+        }
+        if (result !== html) cleanedCount++;
+      } catch (e) {
+        // One failing file must not abort a batch: report it and go on
+        if (jobs.length === 1) throw e;
+        stderr.write(`pfw-clean: ${input}: ${e.message}\n`);
+        failed.push(input);
+      }
+    }
+
+    if (!values.detect && jobs.length > 1) {
+      const failures = failed.length ? `, ${failed.length} failed` : '';
+      stderr.write(`pfw-clean: cleaned ${cleanedCount} of ${jobs.length} files${failures}\n`);
+    }
+    return failed.length ? 1 : 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      stderr.write(`pfw-clean: ${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr.write(`pfw-clean: ${e.message}\n`);
+    return 1;
+  }
+}
@@ -0,0 +1,576 @@
+/**
+ * Copyright (c) 2026 HIS eG - Tim Wahrendorff
+ * Licensed under the MIT License (http://opensource.org/licenses/MIT)
+ *
+ * DocxConverter
+ *
+ * Converts a Word .docx file (an OOXML zip package) into the same clean HTML
+ * the paste pipeline emits: word/document.xml is translated into intermediate
+ * HTML (headings, paragraphs, runs, numbering.xml lists, tables, hyperlinks,
+ * embedded media as data URIs) which is then run through WordCleaner, so
+ * cleaning options and custom stages apply to imported documents as well.
+ *
+ * Unzipping uses the native DecompressionStream API — no zip library needed.
+ * Like WordCleaner, this class has no dependency on jQuery or Summernote.
+ */
+import WordCleaner from './paste-from-word.js';
+
+const EMU_PER_PX = 9525;
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+// w:highlight names → CSS colors
+const HIGHLIGHT_COLORS = {
+  yellow: '#ffff00', green: '#00ff00', cyan: '#00ffff', magenta: '#ff00ff',
+  blue: '#0000ff', red: '#ff0000', darkBlue: '#000080', darkCyan: '#008080',
+  darkGreen: '#008000', darkMagenta: '#800080', darkRed: '#800000',
+  darkYellow: '#808000', darkGray: '#808080', lightGray: '#c0c0c0', black: '#000000',
+};
+
+// w:numFmt → <ol type>
+const LIST_TYPES = { decimal: '1', lowerLetter: 'a', upperLetter: 'A', lowerRoman: 'i', upperRoman: 'I' };
+
+const ALIGNMENTS = { center: 'center', right: 'right', end: 'right', both: 'justify', distribute: 'justify' };
+
+// ---------------------------------------------------------------------------
+// Zip reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the central directory of a zip archive.
+ * Returns a Map of entry name → { method, offset, compressedSize }.
+ */
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('[paste-from-word] not a .docx file (no zip directory found)');
+
+  const entries = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  const decoder = new TextDecoder();
+  let pos = view.getUint32(eocd + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) break;
+    const nameLength = view.getUint16(pos + 28, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    entries.set(name, {
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true),
+    });
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`[paste-from-word] unsupported zip compression method ${entry.method}`);
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    },
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/** Resolve a relationship target relative to the part's folder. */
+function resolvePartPath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base ? base.split('/') : [];
+  target.split('/').forEach(segment => {
+    if (segment === '..') parts.pop();
+    else if (segment && segment !== '.') parts.push(segment);
+  });
+  return parts.join('/');
+}
+
+/** Element children with the given local name (namespace prefix ignored). */
+function children(el, localName) {
+  return el ? Array.from(el.childNodes).filter(n => n.nodeType === 1 && (!localName || n.localName === localName)) : [];
+}
+
+function child(el, localName) {
+  return children(el, localName)[0] || null;
+}
+
+function descendant(el, localName) {
+  return el ? el.getElementsByTagNameNS('*', localName)[0] || null : null;
+}
+
+/** w:val-style attribute read by local name, e.g. attr(el, 'val'). */
+function attr(el, name) {
+  if (!el) return null;
+  const found = Array.from(el.attributes).find(a => (a.localName || a.name) === name);
+  return found ? found.value : null;
+}
+
+/** On/off properties like <w:b/>, <w:b w:val="0"/>. */
+function isOn(el) {
+  if (!el) return false;
+  const val = attr(el, 'val');
+  return val === null || !/^(0|false|off|none)$/i.test(val);
+}
+
+export default class DocxConverter {
+
+  /**
+   * @param {Object} [options]
+   * @param {WordCleaner} [options.cleaner] cleaner used for the final pass;
+   *   otherwise one is created from the remaining options
+   */
+  constructor(options = {}) {
+    const { cleaner, ...cleanerOptions } = options;
+    this.cleaner = cleaner || new WordCleaner(cleanerOptions);
+  }
+
+  /**
+   * Returns true if the file looks like a Word .docx document.
+   */
+  static isDocxFile(file) {
+    return !!file && (
+      /\.docx$/i.test(file.name || '') ||
+      file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    );
+  }
+
+  /**
+   * Convert a .docx file to clean HTML.
+   *
+   * @param {ArrayBuffer|Uint8Array} data contents of the .docx file
+   * @returns {Promise<string>}
+   */
+  async convert(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    // State of this conversion, passed to the helpers as `ctx` — not kept on
+    // the instance, so conversions running at the same time don't mix
+    const ctx = { bytes, zip: readZipDirectory(bytes), listCounters: {}, media: new Map() };
+
+    const documentXml = await this._readXml(ctx, 'word/document.xml');
+    if (!documentXml) throw new Error('[paste-from-word] not a Word document (word/document.xml missing)');
+
+    ctx.rels = await this._readRelationships(ctx, 'word/_rels/document.xml.rels', 'word');
+    ctx.styles = this._parseStyles(await this._readXml(ctx, 'word/styles.xml'));
+    ctx.numbering = this._parseNumbering(await this._readXml(ctx, 'word/numbering.xml'));
+
+    const body = descendant(documentXml.documentElement, 'body');
+    const html = await this._convertBlocks(ctx, children(body));
+    return this.cleaner.clean(html);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Package parts
+  // ---------------------------------------------------------------------------
+
+  async _readBytes(ctx, name) {
+    const entry = ctx.zip.get(name);
+    return entry ? readZipEntry(ctx.bytes, entry) : null;
+  }
+
+  async _readXml(ctx, name) {
+    const bytes = await this._readBytes(ctx, name);
+    if (!bytes) return null;
+    return this.cleaner.parseDocument(new TextDecoder().decode(bytes), 'application/xml');
+  }
+
+  async _readRelationships(ctx, name, base) {
+    const rels = {};
+    const doc = await this._readXml(ctx, name);
+    if (!doc) return rels;
+    children(doc.documentElement, 'Relationship').forEach(rel => {
+      const target = rel.getAttribute('Target') || '';
+      rels[rel.getAttribute('Id')] = rel.getAttribute('TargetMode') === 'External'
+        ? { external: true, target }
+        : { external: false, target: resolvePartPath(base, target) };
+    });
+    return rels;
+  }
+
+  /**
+   * styleId → { name, numPr } for paragraph styles.
+   */
+  _parseStyles(doc) {
+    const styles = {};
+    if (!doc) return styles;
+    children(doc.documentElement, 'style').forEach(style => {
+      styles[attr(style, 'styleId')] = {
+        name: (attr(child(style, 'name'), 'val') || '').toLowerCase(),
+        numPr: child(child(style, 'pPr'), 'numPr'),
+      };
+    });
+    return styles;
+  }
+
+  /**
+   * numId → { ilvl → { format, start, text, legal } } from numbering.xml;
+   * `text` is the level's marker pattern ("%1.%2."), `legal` its isLgl flag.
+   */
+  _parseNumbering(doc) {
+    const numbering = {};
+    if (!doc) return numbering;
+    const abstract = {};
+    children(doc.documentElement, 'abstractNum').forEach(an => {
+      const levels = {};
+      children(an, 'lvl').forEach(lvl => {
+        levels[attr(lvl, 'ilvl')] = {
+          format: attr(child(lvl, 'numFmt'), 'val') || 'decimal',
+          start: parseInt(attr(child(lvl, 'start'), 'val') || '1', 10),
+          text: attr(child(lvl, 'lvlText'), 'val') || '',
+          legal: !!child(lvl, 'isLgl'),
+        };
+      });
+      abstract[attr(an, 'abstractNumId')] = levels;
+    });
+    children(doc.documentElement, 'num').forEach(num => {
+      numbering[attr(num, 'numId')] = abstract[attr(child(num, 'abstractNumId'), 'val')] || {};
+    });
+    return numbering;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block content
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert a sequence of block elements (w:p, w:tbl, w:sdt) to HTML.
+   * Consecutive numbered paragraphs are collected into one nested list.
+   */
+  async _convertBlocks(ctx, blocks) {
+    const out = [];
+    let listItems = [];
+    const flushList = () => {
+      if (!listItems.length) return;
+      const doc = this.cleaner.parseDocument('');
+      const wrapper = doc.createElement('div');
+      wrapper.appendChild(this.cleaner.buildLists(doc, listItems));
+      out.push(wrapper.innerHTML);
+      listItems = [];
+    };
+
+    for (const block of this._flattenBlocks(blocks)) {
+      if (block.localName === 'p') {
+        const list = this._getListInfo(ctx, block);
+        if (list) {
+          listItems.push({ ...list, html: await this._convertInline(ctx, block) });
+          continue;
+        }
+        flushList();
+        out.push(await this._convertParagraph(ctx, block));
+      } else if (block.localName === 'tbl') {
+        flushList();
+        out.push(await this._convertTable(ctx, block));
+      }
+    }
+    flushList();
+    return out.join('');
+  }
+
+  /** Unwrap block-level content controls and custom XML into their content. */
+  _flattenBlocks(blocks) {
+    const result = [];
+    blocks.forEach(block => {
+      if (block.localName === 'sdt') result.push(...this._flattenBlocks(children(child(block, 'sdtContent'))));
+      else if (block.localName === 'customXml') result.push(...this._flattenBlocks(children(block)));
+      else result.push(block);
+    });
+    return result;
+  }
+
+  /**
+   * Returns { level, isOrdered, type, start, listId, marker } for a numbered
+   * paragraph, or null. Numbering comes from the paragraph itself or from its
+   * paragraph style; `start` is the item's number, counted per list so a list
+   * continued after other paragraphs keeps its numbering.
+   */
+  _getListInfo(ctx, p) {
+    const pPr = child(p, 'pPr');
+    const style = ctx.styles[attr(child(pPr, 'pStyle'), 'val')];
+    const numPr = child(pPr, 'numPr') || (style && style.numPr);
+    if (!numPr) return null;
+    const numId = attr(child(numPr, 'numId'), 'val');
+    if (!numId || numId === '0') return null;
+    const ilvl = attr(child(numPr, 'ilvl'), 'val') || '0';
+    const levels = ctx.numbering[numId] || {};
+    const level = levels[ilvl] || { format: 'decimal', start: 1 };
+
+    // Items so far per level of this list; a shallower item resets deeper levels
+    const counters = ctx.listCounters[numId] || (ctx.listCounters[numId] = []);
+    const depth = parseInt(ilvl, 10);
+    counters.length = depth + 1;
+    const count = counters[depth] || 0;
+    counters[depth] = count + 1;
+
+    return {
+      level: depth + 1,
+      isOrdered: level.format !== 'bullet' && level.format !== 'none',
+      type: LIST_TYPES[level.format] || '1',
+      start: level.start + count,
+      listId: numId,
+      marker: this._listMarker(levels, level, counters),
+    };
+  }
+
+  /**
+   * The item's marker with decimal numbers, e.g. "3.2.1" from lvlText
+   * "%1.%2.%3", for the cleaner's legalNumbering option. Empty when a level
+   * it refers to is not decimal (unless the level is isLgl).
+   */
+  _listMarker(levels, level, counters) {
+    let decimal = true;
+    const marker = level.text.replace(/%(\d)/g, (match, n) => {
+      const ref = levels[n - 1] || { format: 'decimal', start: 1 };
+      if (ref.format !== 'decimal' && !level.legal) decimal = false;
+      return String(ref.start + Math.max((counters[n - 1] || 1) - 1, 0));
+    });
+    return decimal ? marker : '';
+  }
+
+  _getHeadingTag(ctx, p) {
+    const style = ctx.styles[attr(child(child(p, 'pPr'), 'pStyle'), 'val')];
+    if (!style) return null;
+    if (style.name === 'title') return 'h1';
+    const m = style.name.match(/^heading\s+(\d+)$/);
+    if (m) {
+      const n = parseInt(m[1], 10);
+      if (n >= 1 && n <= 6) return 'h' + n;
+    }
+    return null;
+  }
+
+  async _convertParagraph(ctx, p) {
+    const tag = this._getHeadingTag(ctx, p) || 'p';
+    const align = ALIGNMENTS[attr(child(child(p, 'pPr'), 'jc'), 'val')];
+    const style = align ? ` style="text-align: ${align}"` : '';
+    return `<${tag}${style}>${await this._convertInline(ctx, p)}</${tag}>`;
+  }
+
+  async _convertTable(ctx, tbl) {
+    const bordered = this._hasBorders(child(child(tbl, 'tblPr'), 'tblBorders'));
+    const rows = children(tbl, 'tr').map(tr => {
+      let col = 0;
+      return children(tr, 'tc').map(tc => {
+        const tcPr = child(tc, 'tcPr');
+        const span = parseInt(attr(child(tcPr, 'gridSpan'), 'val') || '1', 10);
+        const vMerge = child(tcPr, 'vMerge');
+        const cell = { tc, tcPr, col, span, merge: vMerge ? (attr(vMerge, 'val') || 'continue') : null };
+        col += span;
+        return cell;
+      });
+    });
+
+    let html = `<table${bordered ? ' style="border-collapse: collapse"' : ''}>`;
+    for (let r = 0; r < rows.length; r++) {
+      html += '<tr>';
+      for (const cell of rows[r]) {
+        if (cell.merge === 'continue') continue;
+        let rowspan = 1;
+        if (cell.merge === 'restart') {
+          while (rows[r + rowspan] && rows[r + rowspan].some(c => c.col === cell.col && c.merge === 'continue')) {
+            rowspan++;
+          }
+        }
+        const styles = [];
+        const cellBorders = child(cell.tcPr, 'tcBorders');
+        const borderColor = this._borderColor(this._hasBorders(cellBorders) ? cellBorders : null) ||
+          (bordered ? this._borderColor(child(child(tbl, 'tblPr'), 'tblBorders')) : null);
+        if (borderColor) styles.push(`border: 1px solid ${borderColor}`);
+        const fill = attr(child(cell.tcPr, 'shd'), 'fill');
+        if (fill && fill !== 'auto') styles.push(`background-color: #${fill}`);
+
+        html += '<td' +
+          (cell.span > 1 ? ` colspan="${cell.span}"` : '') +
+          (rowspan > 1 ? ` rowspan="${rowspan}"` : '') +
+          (styles.length ? ` style="${styles.join('; ')}"` : '') +
+          '>' + await this._convertBlocks(ctx, children(cell.tc)) + '</td>';
+      }
+      html += '</tr>';
+    }
+    return html + '</table>';
+  }
+
+  _hasBorders(borders) {
+    return children(borders).some(b => !/^(nil|none)$/.test(attr(b, 'val') || 'nil'));
+  }
+
+  /** CSS color of the first visible border side, or null if there is none. */
+  _borderColor(borders) {
+    const side = children(borders).find(b => !/^(nil|none)$/.test(attr(b, 'val') || 'nil'));
+    if (!side) return null;
+    const color = attr(side, 'color');
+    return color && color !== 'auto' ? '#' + color : '#000000';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline content
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert the inline content of a paragraph (runs, hyperlinks, tracked
+   * insertions, content controls, equations) to HTML. Deleted text is dropped, as if
+   * all tracked changes were accepted.
+   */
+  async _convertInline(ctx, el) {
+    let html = '';
+    for (const node of children(el)) {
+      switch (node.localName) {
+        case 'r':
+          html += await this._convertRun(ctx, node);
+          break;
+        case 'hyperlink': {
+          const rel = ctx.rels[attr(node, 'id')];
+          const anchor = attr(node, 'anchor');
+          const href = rel ? rel.target : (anchor ? '#' + anchor : null);
+          const inner = await this._convertInline(ctx, node);
+          html += href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+          break;
+        }
+        case 'sdt':
+          html += await this._convertInline(ctx, child(node, 'sdtContent'));
+          break;
+        case 'oMath':
+          html += this.cleaner.ommlToMathml(node, this.cleaner.parseDocument('')).outerHTML;
+          break;
+        case 'oMathPara':
+          children(node, 'oMath').forEach(math => {
+            html += this.cleaner.ommlToMathml(math, this.cleaner.parseDocument('')).outerHTML;
+          });
+          break;
+        case 'ins':
+        case 'moveTo':
+        case 'smartTag':
+        case 'fldSimple':
+        case 'customXml':
+          html += await this._convertInline(ctx, node);
+          break;
+        default:
+          // pPr, bookmarks, w:del, w:moveFrom, proofing marks…
+          break;
+      }
+    }
+    return html;
+  }
+
+  async _convertRun(ctx, r) {
+    let text = '';
+    for (const node of children(r)) {
+      switch (node.localName) {
+        case 't':
+          text += escapeHtml(node.textContent);
+          break;
+        case 'tab':
+          text += ' ';
+          break;
+        case 'br':
+        case 'cr':
+          text += '<br>';
+          break;
+        case 'noBreakHyphen':
+          text += '‑';
+          break;
+        case 'drawing':
+        case 'pict':
+        case 'AlternateContent':
+          text += await this._convertImage(ctx, node);
+          break;
+        default:
+          break;
+      }
+    }
+    return text ? this._wrapRun(child(r, 'rPr'), text) : '';
+  }
+
+  /**
+   * Wrap run text in the tags and inline styles for its run properties.
+   */
+  _wrapRun(rPr, html) {
+    if (!rPr) return html;
+    const underline = child(rPr, 'u');
+    const vertAlign = attr(child(rPr, 'vertAlign'), 'val');
+    if (isOn(child(rPr, 'b'))) html = `<b>${html}</b>`;
+    if (isOn(child(rPr, 'i'))) html = `<i>${html}</i>`;
+    if (underline && attr(underline, 'val') !== 'none') html = `<u>${html}</u>`;
+    if (isOn(child(rPr, 'strike')) || isOn(child(rPr, 'dstrike'))) html = `<s>${html}</s>`;
+    if (vertAlign === 'superscript') html = `<sup>${html}</sup>`;
+    if (vertAlign === 'subscript') html = `<sub>${html}</sub>`;
+
+    const styles = [];
+    const color = attr(child(rPr, 'color'), 'val');
+    if (color && color !== 'auto') styles.push(`color: #${color}`);
+    const highlight = HIGHLIGHT_COLORS[attr(child(rPr, 'highlight'), 'val')];
+    const fill = attr(child(rPr, 'shd'), 'fill');
+    if (highlight) styles.push(`background-color: ${highlight}`);
+    else if (fill && fill !== 'auto') styles.push(`background-color: #${fill}`);
+    const size = parseInt(attr(child(rPr, 'sz'), 'val') || '0', 10);
+    if (size) styles.push(`font-size: ${size / 2}pt`);
+    return styles.length ? `<span style="${styles.join('; ')}">${html}</span>` : html;
+  }
+
+  /**
+   * Convert a DrawingML (w:drawing) or VML (w:pict) image to an <img> with a
+   * data URI. Formats browsers cannot display (EMF/WMF) are skipped.
+   */
+  async _convertImage(ctx, node) {
+    const blip = descendant(node, 'blip');
+    const imageData = descendant(node, 'imagedata');
+    const relId = blip ? attr(blip, 'embed') : attr(imageData, 'id');
+    const rel = ctx.rels[relId];
+    if (!rel || rel.external) return '';
+
+    const src = await this._getMediaUri(ctx, rel.target);
+    if (!src) return '';
+
+    let attrs = `src="${src}"`;
+    const docPr = descendant(node, 'docPr');
+    const alt = attr(docPr, 'descr') || attr(docPr, 'title');
+    if (alt) attrs += ` alt="${escapeHtml(alt)}"`;
+    const extent = descendant(node, 'extent');
+    if (extent) {
+      attrs += ` width="${Math.round(attr(extent, 'cx') / EMU_PER_PX)}"` +
+        ` height="${Math.round(attr(extent, 'cy') / EMU_PER_PX)}"`;
+    }
+    return `<img ${attrs}>`;
+  }
+
+  async _getMediaUri(ctx, path) {
+    if (!ctx.media.has(path)) {
+      const type = IMAGE_TYPES[(path.split('.').pop() || '').toLowerCase()];
+      const bytes = type ? await this._readBytes(ctx, path) : null;
+      ctx.media.set(path, bytes ? `data:${type};base64,${toBase64(bytes)}` : null);
+    }
+    return ctx.media.get(path);
+  }
+}
+
+// Script tags: see the end of paste-from-word.js
+if (typeof window !== 'undefined' && !window.DocxConverter) window.DocxConverter = DocxConverter;
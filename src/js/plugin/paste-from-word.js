@@ -8,37 +8,397 @@
  * to clean HTML, preserving visual formatting while removing MSO-specific and
  * Word Online-specific markup noise.
  *
- * This class has no dependency on jQuery or Summernote and can be used
- * standalone. The Summernote plugin wrapper lives in:
- *   public/plugin/paste-from-word/summernote-ext-paste-from-word.js
+ * This class has no dependency on jQuery, Summernote or browser globals and
+ * can be used standalone — in Node, pass a DOM implementation via the
+ * `domParser` or `parseDocument` option. The Summernote plugin is a thin wrapper around it:
+ *   summernote-ext-paste-from-word.js
  */
+
 export default class WordCleaner {
 
+  /**
+   * Default cleaning rules. Every key can be overridden per instance through
+   * the constructor (the Summernote plugin passes its `pasteFromWord` option).
+   * Lists and `headingThresholds` replace the default; `defaultValues` and
+   * `allowedAttributes` are merged key by key.
+   */
+  static DEFAULTS = {
+    // Inline style properties kept by cleanStyles
+    keepStyles: [
+      'color', 'background-color', 'font-size', 'font-weight',
+      'font-style', 'text-decoration', 'text-align', 'vertical-align',
+    ],
+    // Border properties kept only on table-related elements
+    tableStyles: ['border', 'border-collapse'],
+    // Default/no-op values — visually equivalent to the browser default
+    defaultValues: {
+      'color': ['#000000', 'black', 'windowtext', 'inherit', 'rgb(0,0,0)', 'rgb(0, 0, 0)'],
+      'background-color': ['#ffffff', 'white', 'transparent', 'inherit',
+        'rgb(255,255,255)', 'rgb(255, 255, 255)'],
+      'font-size': ['12pt'],
+      'font-weight': ['normal', '400'],
+      'font-style': ['normal'],
+      'text-decoration': ['none'],
+      'vertical-align': ['baseline', 'top'],
+      'text-align': ['left', 'start'],
+      'border': ['none', '0', 'initial'],
+    },
+    // Attributes kept per tag name by cleanAttributes (style is always kept)
+    allowedAttributes: {
+      A:   ['href', 'target', 'title', 'rel'],
+      IMG: ['src', 'alt', 'width', 'height'],
+      TD:  ['colspan', 'rowspan'],
+      TH:  ['colspan', 'rowspan', 'scope'],
+      OL:  ['start', 'type'],
+      // MathML from convertEquations
+      MATH: ['display'],
+      MI: ['mathvariant'],
+      MFRAC: ['linethickness'],
+      MOVER: ['accent'],
+      MENCLOSE: ['notation'],
+      INPUT: ['type', 'checked', 'disabled'],
+    },
+    // Class names kept by cleanAttributes on any element (other classes are
+    // removed unless `class` is in allowedAttributes for the tag)
+    allowedClasses: ['task-list', 'footnotes', 'endnotes', 'legal-list', 'list-marker'],
+    // Properties baked from Excel class rules into inline styles
+    excelKeepStyles: [
+      'color', 'background-color', 'font-weight', 'font-style', 'text-decoration', 'border',
+    ],
+    // Minimum font size (pt) per heading tag for custom Word heading styles
+    headingThresholds: { h1: 20, h2: 16, h3: 14, h4: 12, h5: 0 },
+    // Tracked changes: 'accept' (keep insertions, drop deletions), 'reject'
+    // (the reverse) or 'preserve' (both, as <ins>/<del>)
+    trackChanges: 'accept',
+    // Word comments: 'drop', 'inline' ([AB: text] after the commented text)
+    // or 'endnotes' (linked items of the endnotes list)
+    comments: 'drop',
+    // Prefix of the footnote/endnote ids ("fn1", "fnref1", …). null generates
+    // a random one per clean() call, so the notes of several pastes into one
+    // document do not share ids.
+    noteIdPrefix: null,
+    // Keep multi-level clause numbers ("3.2.1") as a non-editable
+    // <span class="list-marker"> prefix in lists marked class="legal-list"
+    legalNumbering: false,
+    // Left-indented paragraphs: 'none' (indent dropped), 'blockquote' (nested
+    // blockquotes), 'summernote' (margin-left in the 25px steps of
+    // Summernote's Indent button) or 'margin' (margin-left in whole em).
+    // The margin modes keep first-line and hanging indents as text-indent;
+    // 'none' and 'blockquote' drop them. Quote styles always become
+    // <blockquote>.
+    indentation: 'none',
+    // Custom stages: [{ name, fn, before | after }] — see addStage()
+    stages: [],
+    // Names of stages (built-in or custom) that are skipped
+    disabledStages: [],
+    // DOMParser class or instance used to parse HTML; defaults to the global
+    // DOMParser (e.g. `new JSDOM().window.DOMParser` or linkedom's DOMParser)
+    domParser: null,
+    // Alternative to domParser: function(source, mimeType) returning a parsed Document
+    parseDocument: null,
+  };
+
+  /**
+   * Built-in DOM stages in the order clean() runs them. Each name is also the
+   * method that implements the stage.
+   */
+  static STAGES = [
+    'convertSymbolFonts',
+    'convertGoogleDocs',
+    'convertLibreOffice',
+    'convertOutlook',
+    'convertPowerPoint',
+    'convertOneNote',
+    'convertEquations',
+    'convertTrackChanges',
+    'convertFootnotes',
+    'convertComments',
+    'convertHeadings',
+    'convertWordOnlineLists',
+    'convertLists',
+    'unwrapDivs',
+    'mergeSiblingLists',
+    'convertIndentation',
+    'embedLocalImages',
+    'removeNoiseNodes',
+    'normalizeBorders',
+    'cleanStyles',
+    'cleanAttributes',
+    'cleanHeadingSpans',
+    'deduplicateInheritedStyles',
+    'unwrapEmptySpans',
+    'replaceNbsp',
+    'unwrapWhitespaceSpans',
+    'removeEmptyBlocks',
+  ];
+
+  /**
+   * Markers that identify pasted HTML, grouped by source. A weight of 1 is
+   * conclusive on its own; weaker markers also occur in ordinary web pages
+   * and only add up to a confident detection together. See detectSource().
+   */
+  static DETECTION_MARKERS = {
+    'word-desktop': [
+      { name: 'xmlns:o', pattern: /xmlns:o="urn:schemas-microsoft-com/, weight: 1 },
+      { name: 'ProgId=Word.Document', pattern: /ProgId=Word\.Document/, weight: 1 },
+      { name: 'class=Mso*', pattern: /class="?Mso[A-Z]/, weight: 0.6 },
+      { name: '<o:p>', pattern: /<o:p[\s>]/, weight: 0.6 },
+      { name: 'mso-list', pattern: /mso-list\s*:/, weight: 0.6 },
+    ],
+    'word-online': [
+      // ListContainerWrapper format (individual items pasted)
+      { name: 'ListContainerWrapper', pattern: /class="[^"]*ListContainerWrapper/, weight: 0.8 },
+      { name: 'data-listid', pattern: /data-listid=/, weight: 0.6 },
+      { name: 'class=SCXW*', pattern: /class="[^"]*\bSCXW\d/, weight: 0.6 },
+      { name: 'data-ccp-props', pattern: /data-ccp-props=/, weight: 0.6 },
+      // Full document paste (native ul/ol with wrapper divs)
+      { name: 'color: windowtext', pattern: /color:\s*windowtext/i, weight: 0.3 },
+      { name: 'border-bottom: 1px solid transparent', pattern: /border-bottom:\s*1px solid transparent/, weight: 0.2 },
+    ],
+    'excel': [
+      { name: 'ProgId=Excel.Sheet', pattern: /content=["']?Excel\.Sheet/i, weight: 1 },
+      { name: 'mso-displayed-decimal-separator', pattern: /mso-displayed-decimal-separator/, weight: 1 },
+      { name: 'generator Microsoft Excel', pattern: /Generator["']?\s+content=["']?Microsoft\s+Excel/i, weight: 1 },
+    ],
+    'google-docs': [
+      { name: 'docs-internal-guid', pattern: /id=["']?docs-internal-guid-/, weight: 1 },
+    ],
+    'libreoffice': [
+      { name: 'generator LibreOffice', pattern: /<meta\s+name=["']?generator["']?\s+content=["']?(LibreOffice|OpenOffice)/i, weight: 1 },
+    ],
+    // Only checked together with the LibreOffice generator tag
+    'libreoffice-calc': [
+      { name: 'sdval/sdnum', pattern: /<td[^>]*\s(sdval|sdnum)=/i, weight: 0 },
+      { name: 'a.comment-indicator', pattern: /a\.comment-indicator/, weight: 0 },
+    ],
+    'outlook': [
+      { name: 'safelinks', pattern: /\.safelinks\.protection\.outlook\.com\//i, weight: 1 },
+      { name: 'divRplyFwdMsg', pattern: /id=["']?(x_)?divRplyFwdMsg/, weight: 1 },
+      { name: 'reply header border', pattern: /border-top:\s*solid\s+#(E1E1E1|B5C4DF)/i, weight: 0.5 },
+      { name: 'class=x_Mso*', pattern: /class=["']?x_(Mso[A-Z]|WordSection)/, weight: 0.8 },
+    ],
+    'powerpoint': [
+      { name: 'ProgId=PowerPoint', pattern: /ProgId=["']?PowerPoint\./i, weight: 1 },
+      { name: 'xmlns:p', pattern: /xmlns:p=["']?urn:schemas-microsoft-com:office:powerpoint/i, weight: 1 },
+      { name: 'generator Microsoft PowerPoint', pattern: /name=["']?Generator["']?\s+content=["']?Microsoft PowerPoint/i, weight: 1 },
+    ],
+    'onenote': [
+      { name: 'ProgId=OneNote', pattern: /ProgId=["']?OneNote\./i, weight: 1 },
+      { name: 'generator Microsoft OneNote', pattern: /name=["']?Generator["']?\s+content=["']?Microsoft OneNote/i, weight: 1 },
+    ],
+  };
+
+  /**
+   * Characters of symbol fonts by code point, for convertSymbolFonts. Word
+   * writes them either as the plain code point (0x20–0xFF) or shifted into
+   * the private use area (U+F020–U+F0FF).
+   */
+  static SYMBOL_FONTS = {
+    'symbol': {
+      0x22: '∀', 0x24: '∃', 0x27: '∋', 0x2A: '∗', 0x2D: '−', 0x40: '≅', 0x5C: '∴', 0x5E: '⊥',
+      0x7E: '∼',
+      // Greek capitals A–Z and small letters a–z
+      0x41: 'Α', 0x42: 'Β', 0x43: 'Χ', 0x44: 'Δ', 0x45: 'Ε', 0x46: 'Φ', 0x47: 'Γ', 0x48: 'Η',
+      0x49: 'Ι', 0x4A: 'ϑ', 0x4B: 'Κ', 0x4C: 'Λ', 0x4D: 'Μ', 0x4E: 'Ν', 0x4F: 'Ο', 0x50: 'Π',
+      0x51: 'Θ', 0x52: 'Ρ', 0x53: 'Σ', 0x54: 'Τ', 0x55: 'Υ', 0x56: 'ς', 0x57: 'Ω', 0x58: 'Ξ',
+      0x59: 'Ψ', 0x5A: 'Ζ',
+      0x61: 'α', 0x62: 'β', 0x63: 'χ', 0x64: 'δ', 0x65: 'ε', 0x66: 'φ', 0x67: 'γ', 0x68: 'η',
+      0x69: 'ι', 0x6A: 'ϕ', 0x6B: 'κ', 0x6C: 'λ', 0x6D: 'μ', 0x6E: 'ν', 0x6F: 'ο', 0x70: 'π',
+      0x71: 'θ', 0x72: 'ρ', 0x73: 'σ', 0x74: 'τ', 0x75: 'υ', 0x76: 'ϖ', 0x77: 'ω', 0x78: 'ξ',
+      0x79: 'ψ', 0x7A: 'ζ',
+      0xA1: 'ϒ', 0xA2: '′', 0xA3: '≤', 0xA4: '⁄', 0xA5: '∞', 0xA6: 'ƒ', 0xA7: '♣', 0xA8: '♦',
+      0xA9: '♥', 0xAA: '♠', 0xAB: '↔', 0xAC: '←', 0xAD: '↑', 0xAE: '→', 0xAF: '↓', 0xB0: '°',
+      0xB1: '±', 0xB2: '″', 0xB3: '≥', 0xB4: '×', 0xB5: '∝', 0xB6: '∂', 0xB7: '•', 0xB8: '÷',
+      0xB9: '≠', 0xBA: '≡', 0xBB: '≈', 0xBC: '…', 0xC0: 'ℵ', 0xC1: 'ℑ', 0xC2: 'ℜ', 0xC3: '℘',
+      0xC4: '⊗', 0xC5: '⊕', 0xC6: '∅', 0xC7: '∩', 0xC8: '∪', 0xC9: '⊃', 0xCA: '⊇', 0xCB: '⊄',
+      0xCC: '⊂', 0xCD: '⊆', 0xCE: '∈', 0xCF: '∉', 0xD0: '∠', 0xD1: '∇', 0xD2: '®', 0xD3: '©',
+      0xD4: '™', 0xD5: '∏', 0xD6: '√', 0xD7: '⋅', 0xD8: '¬', 0xD9: '∧', 0xDA: '∨', 0xDB: '⇔',
+      0xDC: '⇐', 0xDD: '⇑', 0xDE: '⇒', 0xDF: '⇓', 0xE0: '◊', 0xE1: '〈', 0xE5: '∑', 0xF1: '〉',
+      0xF2: '∫',
+    },
+    'wingdings': {
+      0x22: '✂', 0x23: '✁', 0x28: '☎', 0x2A: '✉', 0x36: '⌛', 0x37: '⌨', 0x41: '✌', 0x45: '☜',
+      0x46: '☞', 0x47: '☝', 0x48: '☟', 0x4A: '☺', 0x4C: '☹', 0x4E: '☠', 0x52: '☼', 0x54: '❄',
+      0x58: '✠', 0x59: '✡', 0x5B: '☯', 0x6C: '●', 0x6D: '❍', 0x6E: '■', 0x6F: '□', 0x71: '❑',
+      0x72: '❒', 0x73: '⬧', 0x74: '⧫', 0x75: '◆', 0x76: '❖', 0x77: '⬥', 0x78: '⌧', 0x7A: '⌘',
+      0x7B: '❀', 0x7C: '✿', 0x7D: '❝', 0x7E: '❞', 0x80: '⓪', 0x81: '①', 0x82: '②', 0x83: '③',
+      0x84: '④', 0x85: '⑤', 0x86: '⑥', 0x87: '⑦', 0x88: '⑧', 0x89: '⑨', 0x8A: '⑩', 0x9E: '·',
+      0x9F: '•', 0xA1: '○', 0xA7: '▪', 0xA8: '☐', 0xAB: '★', 0xD8: '➢', 0xDF: '←', 0xE0: '→',
+      0xE1: '↑', 0xE2: '↓', 0xE3: '↖', 0xE4: '↗', 0xE5: '↙', 0xE6: '↘', 0xE8: '➔', 0xEF: '⇦',
+      0xF0: '⇨', 0xF1: '⇧', 0xF2: '⇩', 0xFB: '✗', 0xFC: '✓', 0xFD: '☒', 0xFE: '☑',
+    },
+    'wingdings 2': {
+      0x4F: '✗', 0x50: '✓', 0x51: '☒', 0x52: '☑', 0x54: '☒', 0xA3: '☐',
+    },
+    'webdings': {
+      0x33: '◀', 0x34: '▶', 0x35: '▲', 0x36: '▼', 0x61: '✓', 0x72: '✖',
+    },
+  };
+
+  /**
+   * Paste modes offered after a paste, see applyPasteMode().
+   */
+  static PASTE_MODES = ['keep', 'merge', 'text'];
+
+  /**
+   * @param {Object} [options] overrides for WordCleaner.DEFAULTS
+   */
+  constructor(options = {}) {
+    const defaults = WordCleaner.DEFAULTS;
+    const allowedAttributes = { ...defaults.allowedAttributes };
+    Object.entries(options.allowedAttributes || {}).forEach(([tag, attrs]) => {
+      allowedAttributes[tag.toUpperCase()] = attrs;
+    });
+    this.options = {
+      ...defaults,
+      ...options,
+      defaultValues: { ...defaults.defaultValues, ...options.defaultValues },
+      allowedAttributes,
+    };
+    if (!['accept', 'reject', 'preserve'].includes(this.options.trackChanges)) {
+      throw new Error(`[paste-from-word] unknown trackChanges option "${this.options.trackChanges}"`);
+    }
+    if (!['drop', 'inline', 'endnotes'].includes(this.options.comments)) {
+      throw new Error(`[paste-from-word] unknown comments option "${this.options.comments}"`);
+    }
+    const { noteIdPrefix } = this.options;
+    if (noteIdPrefix !== null && !(typeof noteIdPrefix === 'string' && /^[\w-]*$/.test(noteIdPrefix))) {
+      throw new Error('[paste-from-word] noteIdPrefix must be null or a string of letters, digits, _ and -');
+    }
+    if (!['none', 'blockquote', 'summernote', 'margin'].includes(this.options.indentation)) {
+      throw new Error(`[paste-from-word] unknown indentation option "${this.options.indentation}"`);
+    }
+    const thresholds = Object.entries(this.options.headingThresholds || {});
+    if (!thresholds.length || !thresholds.every(([tag, pt]) => /^h[1-6]$/.test(tag) && Number.isFinite(pt))) {
+      throw new Error('[paste-from-word] headingThresholds must map h1–h6 to font sizes in pt');
+    }
+
+    this.stages = WordCleaner.STAGES.map(name => ({
+      name,
+      fn: (container, source, clipboard) => this[name](container, source, clipboard),
+      enabled: true,
+    }));
+    this.options.stages.forEach(({ name, fn, before, after }) => {
+      this.addStage(name, fn, { before, after });
+    });
+    this.options.disabledStages.forEach(name => this.disableStage(name));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pipeline stages
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a custom DOM stage. `fn(container, source, clipboard)` is called
+   * with the live container element, the detected source type (see
+   * detectSourceType) and the clipboard data passed to clean(), plus the
+   * `noteIdPrefix` of this call, with `this` bound to the cleaner.
+   * The stage runs before or after the named stage, or last if neither given.
+   */
+  addStage(name, fn, { before, after } = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`[paste-from-word] stage "${name}" is not a function`);
+    }
+    if (this._stageIndex(name) !== -1) {
+      throw new Error(`[paste-from-word] stage "${name}" already exists`);
+    }
+    const stage = { name, fn, enabled: true };
+    const ref = before || after;
+    if (!ref) {
+      this.stages.push(stage);
+      return this;
+    }
+    const index = this._stageIndex(ref);
+    if (index === -1) throw new Error(`[paste-from-word] unknown stage "${ref}"`);
+    this.stages.splice(before ? index : index + 1, 0, stage);
+    return this;
+  }
+
+  disableStage(name) {
+    this._getStage(name).enabled = false;
+    return this;
+  }
+
+  enableStage(name) {
+    this._getStage(name).enabled = true;
+    return this;
+  }
+
+  _stageIndex(name) {
+    return this.stages.findIndex(stage => stage.name === name);
+  }
+
+  _getStage(name) {
+    const stage = this.stages[this._stageIndex(name)];
+    if (!stage) throw new Error(`[paste-from-word] unknown stage "${name}"`);
+    return stage;
+  }
+
   // ---------------------------------------------------------------------------
   // Detection
   // ---------------------------------------------------------------------------
 
   /**
    * Returns true if the HTML string appears to originate from Microsoft Word
-   * (desktop or Word Online).
+   * (desktop or Word Online) or Excel, including Outlook, OneNote and
+   * PowerPoint, which write Word's markup. Google Docs and LibreOffice
+   * content is not Word content; see isSupportedContent(), and detectSource()
+   * for a graded result.
    */
   isWordContent(html) {
-    return (
-      // Desktop Word (MSO)
-      /xmlns:o="urn:schemas-microsoft-com/.test(html) ||
-      /ProgId=Word\.Document/.test(html) ||
-      /class="?Mso[A-Z]/.test(html) ||
-      /<o:p[\s>]/.test(html) ||
-      /mso-list\s*:/.test(html) ||
-      // Word Online — ListContainerWrapper format (individual items pasted)
-      /class="[^"]*ListContainerWrapper/.test(html) ||
-      /data-listid=/.test(html) ||
-      // Word Online — full document paste (native ul/ol with wrapper divs)
-      /color:\s*windowtext/i.test(html) ||
-      /border-bottom:\s*1px solid transparent/.test(html) ||
-      // Excel (desktop and Online)
-      this.isExcelContent(html)
-    );
+    return ['word-desktop', 'word-online', 'excel', 'outlook', 'onenote', 'powerpoint']
+      .includes(this.detectSourceType(html));
+  }
+
+  /**
+   * Returns true if the HTML string is from any source the cleaner handles,
+   * Google Docs and LibreOffice included.
+   */
+  isSupportedContent(html) {
+    return this.detectSourceType(html) !== null;
+  }
+
+  /**
+   * Returns the source type of Word/Excel HTML — 'excel', 'google-docs',
+   * 'libreoffice-writer', 'libreoffice-calc', 'powerpoint', 'onenote',
+   * 'outlook', 'word-desktop' or 'word-online' — or null for content that is
+   * not from a supported source.
+   */
+  detectSourceType(html) {
+    if (this.isExcelContent(html)) return 'excel';
+    if (this.isGoogleDocsContent(html)) return 'google-docs';
+    if (this.isLibreOfficeContent(html)) {
+      return this.isLibreOfficeCalcContent(html) ? 'libreoffice-calc' : 'libreoffice-writer';
+    }
+    if (this.isPowerPointContent(html)) return 'powerpoint';
+    if (this.isOneNoteContent(html)) return 'onenote';
+    if (this.isOutlookContent(html)) return 'outlook';
+    if (this._matchMarkers(html, 'word-desktop').length) return 'word-desktop';
+    if (this._matchMarkers(html, 'word-online').length) return 'word-online';
+    return null;
+  }
+
+  /**
+   * Detection report for an HTML string: the source type (as returned by
+   * detectSourceType), a confidence between 0 and 1 and the names of all
+   * markers found. The confidence is the sum of the matched markers'
+   * weights, capped at 1: a generator tag or ProgId alone is conclusive,
+   * while a lone weak marker such as `color: windowtext` — which ordinary
+   * web pages use too — scores low.
+   *
+   * @param {string} html
+   * @returns {{source: (string|null), confidence: number, matchedMarkers: string[]}}
+   */
+  detectSource(html) {
+    const source = this.detectSourceType(html);
+    const matched = Object.keys(WordCleaner.DETECTION_MARKERS)
+      .flatMap(group => this._matchMarkers(html, group));
+    const total = matched.reduce((sum, marker) => sum + marker.weight, 0);
+    return {
+      source,
+      confidence: source ? Math.round(Math.min(1, total) * 100) / 100 : 0,
+      matchedMarkers: source ? matched.map(marker => marker.name) : [],
+    };
   }
 
   /**
@@ -46,51 +406,219 @@ export default class WordCleaner {
    * (desktop or Excel Online).
    */
   isExcelContent(html) {
-    return (
-      /content=["']?Excel\.Sheet/i.test(html) ||
-      /mso-displayed-decimal-separator/.test(html) ||
-      /Generator["']?\s+content=["']?Microsoft\s+Excel/i.test(html)
-    );
+    return this._matchMarkers(html, 'excel').length > 0;
+  }
+
+  /**
+   * Returns true if the HTML string was copied from Google Docs, which marks
+   * every paste with a docs-internal-guid id.
+   */
+  isGoogleDocsContent(html) {
+    return this._matchMarkers(html, 'google-docs').length > 0;
+  }
+
+  /**
+   * Returns true if the HTML string was copied from LibreOffice (or
+   * OpenOffice) Writer or Calc, identified by the generator meta tag.
+   */
+  isLibreOfficeContent(html) {
+    return this._matchMarkers(html, 'libreoffice').length > 0;
+  }
+
+  /**
+   * Returns true for LibreOffice Calc content: cells carry sdval/sdnum
+   * attributes and the stylesheet styles Calc's comment indicators.
+   */
+  isLibreOfficeCalcContent(html) {
+    return this.isLibreOfficeContent(html) && this._matchMarkers(html, 'libreoffice-calc').length > 0;
+  }
+
+  /**
+   * Returns true if the HTML string is an email from Outlook or Outlook on
+   * the web: Safe Links, reply headers (divRplyFwdMsg or the bordered
+   * separator div) or OWA's x_-prefixed Word classes.
+   */
+  isOutlookContent(html) {
+    return this._matchMarkers(html, 'outlook').length > 0;
+  }
+
+  isPowerPointContent(html) {
+    return this._matchMarkers(html, 'powerpoint').length > 0;
+  }
+
+  isOneNoteContent(html) {
+    return this._matchMarkers(html, 'onenote').length > 0;
+  }
+
+  /** Markers of one DETECTION_MARKERS group found in the HTML string. */
+  _matchMarkers(html, group) {
+    return WordCleaner.DETECTION_MARKERS[group].filter(marker => marker.pattern.test(html));
   }
 
   // ---------------------------------------------------------------------------
   // Main pipeline
   // ---------------------------------------------------------------------------
 
-  clean(html) {
+  /**
+   * Clean Word/Excel HTML.
+   *
+   * @param {string} html
+   * @param {Object} [clipboard] other data from the same paste
+   * @param {string} [clipboard.rtf] the text/rtf flavor
+   * @param {string[]} [clipboard.images] URLs (data: or blob:) of image files
+   *   from the paste, in document order
+   */
+  clean(html, clipboard = {}) {
+    return this._run(html, clipboard, null);
+  }
+
+  /**
+   * Like clean(), but also reports what was removed. `report.stages` has one
+   * entry per stage that ran (plus 'preprocess' for the string
+   * pre-processing) with its duration in ms and how many style declarations,
+   * attributes, images, comments and spans it removed; `report.removed` holds
+   * the totals. Only content from the pasted HTML counts: attributes the
+   * pipeline generates (see _setGeneratedAttribute) are left out.
+   *
+   * @param {string} html
+   * @param {Object} [clipboard] see clean()
+   * @returns {{source: (string|null), html: string, time: number, report: Object}}
+   */
+  cleanWithReport(html, clipboard = {}) {
+    const report = { stages: [], removed: this._emptyCounts() };
+    const started = this._now();
+    const cleaned = this._run(html, clipboard, report);
+    report.stages.forEach(stage => {
+      Object.keys(report.removed).forEach(key => { report.removed[key] += stage.removed[key]; });
+    });
+    return { source: this.detectSourceType(html), html: cleaned, time: this._now() - started, report };
+  }
+
+  _run(html, clipboard, report) {
+    const source = this.detectSourceType(html);
+    // One note id prefix for all notes stages of this call
+    clipboard = {
+      ...clipboard,
+      noteIdPrefix: this.options.noteIdPrefix ?? `pfw-${Math.random().toString(36).slice(2, 8)}-`,
+    };
+    const started = this._now();
+    const original = html;
+    html = this.preprocessEquations(html);
     html = this.removeConditionalComments(html);
-    if (this.isExcelContent(html)) html = this.preprocessExcel(html);
+    // Calc tables get the same class-style baking and column cleanup as Excel
+    if (source === 'excel' || source === 'libreoffice-calc') html = this.preprocessExcel(html);
     html = this.extractBodyContent(html);
+    if (report) {
+      const removed = this._emptyCounts();
+      removed.comments = (original.match(/<!--/g) || []).length - (html.match(/<!--/g) || []).length;
+      report.stages.push({ name: 'preprocess', time: this._now() - started, removed });
+    }
 
-    const doc = new DOMParser().parseFromString(
-      `<div id="__pfword__">${html}</div>`,
-      'text/html'
-    );
+    const doc = this.parseDocument(`<div id="__pfword__">${html}</div>`);
     const container = doc.getElementById('__pfword__');
     if (!container) return html;
 
-    this.convertHeadings(container);
-    this.convertWordOnlineLists(container);
-    this.convertLists(container);
-    this.unwrapDivs(container);
-    this.mergeSiblingLists(container);
-    this.removeNoiseNodes(container);
-    this.cleanStyles(container);
-    this.cleanAttributes(container);
-    this.cleanHeadingSpans(container);
-    this.deduplicateInheritedStyles(container);
-    this.unwrapEmptySpans(container);
-    this.replaceNbsp(container);
-    this.unwrapWhitespaceSpans(container);
-    this.removeEmptyBlocks(container);
+    this.stages.forEach(stage => {
+      if (!stage.enabled) return;
+      if (!report) {
+        stage.fn.call(this, container, source, clipboard);
+        return;
+      }
+      const before = this._countContent(container);
+      const stageStarted = this._now();
+      stage.fn.call(this, container, source, clipboard);
+      const time = this._now() - stageStarted;
+      const after = this._countContent(container);
+      const removed = this._emptyCounts();
+      Object.keys(removed).forEach(key => { removed[key] = Math.max(0, before[key] - after[key]); });
+      report.stages.push({ name: stage.name, time, removed });
+    });
 
+    container.querySelectorAll('[data-pfw-generated]').forEach(el => {
+      el.removeAttribute('data-pfw-generated');
+      el.removeAttribute('data-pfw-keep');
+    });
     return container.innerHTML;
   }
 
+  /**
+   * Set an attribute that is not from the pasted HTML: list ids, numbering,
+   * note ids, marker flags. The name is recorded in data-pfw-generated (with
+   * `keep`, also in data-pfw-keep) on the element itself, so the record
+   * survives stages that re-parse markup; _run removes both after the last
+   * stage. cleanAttributes keeps the data-pfw-keep attributes whatever
+   * allowedAttributes says for the tag and treats the others like pasted ones.
+   */
+  _setGeneratedAttribute(el, name, value, keep = false) {
+    el.setAttribute(name, value);
+    const record = marker => {
+      const names = this._generatedNames(el, marker);
+      names.add(name.toLowerCase());
+      el.setAttribute(marker, Array.from(names).join(' '));
+    };
+    record('data-pfw-generated');
+    if (keep) record('data-pfw-keep');
+  }
+
+  /** Attribute names recorded in `marker` by _setGeneratedAttribute. */
+  _generatedNames(el, marker = 'data-pfw-generated') {
+    return new Set((el.getAttribute(marker) || '').split(/\s+/).filter(Boolean));
+  }
+
+  _now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  _emptyCounts() {
+    return { styles: 0, attributes: 0, images: 0, comments: 0, spans: 0 };
+  }
+
+  /**
+   * Counts of the content kinds cleanWithReport() reports as removed.
+   * Attributes set through _setGeneratedAttribute are not counted, so a
+   * temporary marker that a later stage strips is not reported as removed.
+   */
+  _countContent(container) {
+    const counts = this._emptyCounts();
+    container.querySelectorAll('*').forEach(el => {
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'img' || tag === 'v:imagedata') counts.images++;
+      if (tag === 'span') counts.spans++;
+      const generated = this._generatedNames(el);
+      if (generated.size) ['data-pfw-generated', 'data-pfw-keep'].forEach(name => generated.add(name));
+      Array.from(el.attributes).forEach(attr => {
+        if (generated.has(attr.name.toLowerCase())) return;
+        if (attr.name.toLowerCase() === 'style') {
+          counts.styles += Object.keys(this._parseStyleStr(attr.value)).length;
+        } else {
+          counts.attributes++;
+        }
+      });
+    });
+    counts.comments = this._collectNodes(container, 8 /* COMMENT_NODE */).length;
+    return counts;
+  }
+
   // ---------------------------------------------------------------------------
   // String pre-processing
   // ---------------------------------------------------------------------------
 
+  /**
+   * Parse an HTML (or, with mimeType 'application/xml', XML) string into a
+   * Document using the configured DOM implementation, falling back to the
+   * global DOMParser in browsers.
+   */
+  parseDocument(html, mimeType = 'text/html') {
+    if (this.options.parseDocument) return this.options.parseDocument(html, mimeType);
+    let parser = this.options.domParser;
+    if (!parser && typeof DOMParser !== 'undefined') parser = DOMParser;
+    if (!parser) {
+      throw new Error('[paste-from-word] no DOMParser available — pass the `domParser` or `parseDocument` option');
+    }
+    if (typeof parser === 'function') parser = new parser();
+    return parser.parseFromString(html, mimeType);
+  }
+
   removeConditionalComments(html) {
     // Remove [if !supportLists] / [if !supportAnnotations] blocks entirely
     html = html.replace(/<!--\[if !support[^\]]*\]>[\s\S]*?<!\[endif\]-->/gi, '');
@@ -115,7 +643,7 @@ export default class WordCleaner {
    * (column widths) are removed as they are not useful in rich-text context.
    */
   preprocessExcel(html) {
-    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const doc = this.parseDocument(html);
     this.applyExcelClassStyles(doc);
     doc.querySelectorAll('col, colgroup').forEach(el => el.remove());
     return doc.documentElement.outerHTML;
@@ -128,9 +656,7 @@ export default class WordCleaner {
    * Existing inline styles are preserved and take precedence (appended after).
    */
   applyExcelClassStyles(doc) {
-    const KEEP_PROPS = new Set([
-      'color', 'background-color', 'font-weight', 'font-style', 'text-decoration',
-    ]);
+    const KEEP_PROPS = new Set(this.options.excelKeepStyles);
 
     // Collect all class rules from style blocks
     const classRules = {}; // className -> array of "prop: value" strings
@@ -244,7 +770,8 @@ export default class WordCleaner {
    * inline styles within the paragraph. Used for custom Word heading styles
    * that have no aria-level attribute.
    *
-   * Thresholds are based on typical Word Online heading font sizes:
+   * Thresholds come from the `headingThresholds` option; the defaults are
+   * based on typical Word Online heading font sizes:
    *   h1 ≈ 20pt+, h2 ≈ 16pt+, h3 ≈ 14pt+, h4 ≈ 12pt+, else h5
    */
   _inferHeadingTagFromFontSize(p) {
@@ -255,11 +782,10 @@ export default class WordCleaner {
     };
     check(p.getAttribute('style'));
     p.querySelectorAll('span[style]').forEach(s => check(s.getAttribute('style')));
-    if (maxPt >= 20) return 'h1';
-    if (maxPt >= 16) return 'h2';
-    if (maxPt >= 14) return 'h3';
-    if (maxPt >= 12) return 'h4';
-    return 'h5';
+    const thresholds = Object.entries(this.options.headingThresholds)
+      .sort((a, b) => b[1] - a[1]);
+    const match = thresholds.find(([, minPt]) => maxPt >= minPt);
+    return (match || thresholds[thresholds.length - 1])[0];
   }
 
   /**
@@ -308,19 +834,23 @@ export default class WordCleaner {
           const listEl = wrapper.querySelector('ul, ol');
           const li = listEl ? listEl.querySelector('li') : null;
           if (li) {
-            group.push({
+            // The bullet is only in data-leveltext, in the font of data-font
+            const font = li.getAttribute('data-font');
+            const bullet = li.getAttribute('data-leveltext') || '';
+            group.push(this._detectTask(doc, {
               el: wrapper,
               level: parseInt(li.getAttribute('data-aria-level') || '1', 10),
               isOrdered: listEl.tagName.toUpperCase() === 'OL',
+              listId: li.getAttribute('data-listid'),
+              marker: font ? this._mapSymbolText(font, bullet) : bullet,
               html: this.extractWordOnlineLiContent(li),
-            });
+            }));
           }
           i++;
         }
 
         if (group.length) {
-          const listRoot = this.buildNestedList(doc, group);
-          group[0].el.parentNode.insertBefore(listRoot, group[0].el);
+          group[0].el.parentNode.insertBefore(this.buildLists(doc, group), group[0].el);
           group.forEach(item => item.el.parentNode?.removeChild(item.el));
         }
       }
@@ -350,11 +880,26 @@ export default class WordCleaner {
    *
    * Word outputs lists as sibling <p> elements with `mso-list: lN levelN lfoN`
    * in their style attribute. We group consecutive list paragraphs and
-   * reconstruct proper nesting based on the level number.
+   * reconstruct proper nesting based on the level number. List paragraphs can
+   * sit at any depth — in table cells, text boxes or indented blocks — so
+   * every parent holding one is processed.
    */
   convertLists(container) {
-    const doc = container.ownerDocument;
-    const children = Array.from(container.childNodes);
+    const parents = new Set();
+    container.querySelectorAll('p, div').forEach(el => {
+      if (this.isListParagraph(el)) parents.add(el.parentNode);
+    });
+    parents.forEach(parent => this._convertListRuns(parent));
+  }
+
+  /**
+   * Replace each run of list paragraphs among the children of `parent` with
+   * lists. Whitespace between the paragraphs does not end a run.
+   */
+  _convertListRuns(parent) {
+    const doc = parent.ownerDocument;
+    const children = Array.from(parent.childNodes);
+    const isBlank = node => node && node.nodeType === 3 /* TEXT_NODE */ && !node.nodeValue.trim();
 
     let i = 0;
     while (i < children.length) {
@@ -364,19 +909,21 @@ export default class WordCleaner {
       }
 
       const items = [];
-      while (i < children.length && this.isListParagraph(children[i])) {
-        const para = children[i];
-        items.push({
+      while (i < children.length && (this.isListParagraph(children[i]) || isBlank(children[i]))) {
+        const para = children[i++];
+        if (isBlank(para)) continue;
+        items.push(this._detectTask(doc, {
           el: para,
           level: this.getListLevel(para),
           isOrdered: this.isOrderedList(para),
+          listId: this.getListId(para),
+          marker: this.getListMarker(para),
           html: this.extractListItemContent(para),
-        });
-        i++;
+          ...this.parseListMarker(this.getListMarker(para)),
+        }));
       }
 
-      const listRoot = this.buildNestedList(doc, items);
-      items[0].el.parentNode.insertBefore(listRoot, items[0].el);
+      items[0].el.parentNode.insertBefore(this.buildLists(doc, items), items[0].el);
       items.forEach(item => item.el.parentNode?.removeChild(item.el));
     }
   }
@@ -401,14 +948,54 @@ export default class WordCleaner {
     if (/MsoListNumber/.test(cls)) return true;
     if (/MsoListBullet/.test(cls)) return false;
 
+    return this.parseListMarker(this.getListMarker(para)) !== null;
+  }
+
+  /** The marker text of a Word list paragraph ("1.", "a)", "·"), or ''. */
+  getListMarker(para) {
     const ignoreSpan = para.querySelector('[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]');
-    if (ignoreSpan) {
-      const text = ignoreSpan.textContent.replace(/\u00a0/g, '').trim();
-      if (/^[\d]+[.)]/.test(text) || /^[ivxlcdmIVXLCDM]+\./i.test(text) || /^[a-zA-Z]\./.test(text)) {
-        return true;
-      }
+    return ignoreSpan ? ignoreSpan.textContent.replace(/\u00a0/g, '').trim() : '';
+  }
+
+  /** Word's list instance of a list paragraph ("l0 lfo1"), or null. */
+  getListId(para) {
+    const match = (para.getAttribute('style') || '').match(/mso-list\s*:\s*(l\d+)[^;]*?(lfo\d+)/i);
+    return match ? `${match[1]} ${match[2]}`.toLowerCase() : null;
+  }
+
+  /** Whether a list marker is multi-level outline numbering ("3.2.1", "1.1."). */
+  isLegalMarker(text) {
+    return /^\d+(\.\d+)+\.?$/.test(text || '');
+  }
+
+  /**
+   * The numbering of an ordered list marker as an <ol> type ('1', 'a', 'A',
+   * 'i', 'I') and the number it stands for: "iv." → { type: 'i', start: 4 },
+   * "C)" → { type: 'A', start: 3 }, "3.2." → { type: '1', start: 2 }. Null
+   * for bullets. A single "i"/"I" is read as roman, other single letters as
+   * alphabetic.
+   */
+  parseListMarker(text) {
+    // Letters need their punctuation: a bare "o" is Word's second-level bullet
+    const match = (text || '').match(/^\(?(?:(?:\d+\.)*(\d+)|([a-z]+|[A-Z]+)[.)])/);
+    if (!match) return null;
+    const value = match[1] || match[2];
+    if (/^\d/.test(value)) return { type: '1', start: parseInt(value, 10) };
+
+    const lower = value.toLowerCase();
+    const upper = value === value.toUpperCase();
+    if (/^[ivxlcdm]+$/.test(lower) && (lower.length > 1 || lower === 'i')) {
+      const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+      const start = [...lower].reduce((sum, ch, i) => {
+        const next = ROMAN[lower[i + 1]] || 0;
+        return sum + (ROMAN[ch] < next ? -ROMAN[ch] : ROMAN[ch]);
+      }, 0);
+      return { type: upper ? 'I' : 'i', start };
     }
-    return false;
+    if (lower.length > 1 && !/^(.)\1*$/.test(lower)) return null;
+    // a … z, then aa, bb … as Word continues alphabetic numbering
+    const start = (lower.length - 1) * 26 + lower.charCodeAt(0) - 96;
+    return { type: upper ? 'A' : 'a', start };
   }
 
   extractListItemContent(para) {
@@ -418,16 +1005,106 @@ export default class WordCleaner {
   }
 
   /**
-   * Build a nested <ul>/<ol> DOM tree from a flat list of items with levels.
+   * Mark a list item as a task (`item.task = { checked }`) when its bullet
+   * is a ballot box — Wingdings 0xA8/0xFE, mapped to ☐/☑ by
+   * convertSymbolFonts — or its text starts with one, as a checkbox content
+   * control does; the box is removed from the text.
+   */
+  _detectTask(doc, item) {
+    const bullet = (item.marker || '').match(/^[\u2610\u2611\u2612]$/);
+    if (bullet) return { ...item, isOrdered: false, task: { checked: bullet[0] !== '\u2610' } };
+    const holder = doc.createElement('div');
+    holder.innerHTML = item.html;
+    const task = this._takeCheckboxGlyph(holder);
+    if (task) this._trimLeadingSpace(holder);
+    return task ? { ...item, isOrdered: false, task, html: holder.innerHTML.trim() } : item;
+  }
+
+  /**
+   * Set type and start of a new <ol> from the item that opens it (see
+   * parseListMarker). A restarted list gets an explicit start, even 1, so
+   * mergeSiblingLists keeps it apart from the list before it.
+   */
+  _setListNumbering(list, item) {
+    if (list.tagName.toUpperCase() !== 'OL') return;
+    if (item.type && item.type !== '1') this._setGeneratedAttribute(list, 'type', item.type);
+    if (item.start && (item.start !== 1 || item.restart)) this._setGeneratedAttribute(list, 'start', String(item.start));
+  }
+
+  /**
+   * A new <ol>/<ul> for the item that opens it. The list id is kept in
+   * data-listid (as Word Online does on its items) until cleanAttributes, so
+   * mergeSiblingLists can tell separate lists apart.
+   */
+  _createList(doc, item) {
+    const list = doc.createElement(item.isOrdered ? 'ol' : 'ul');
+    this._setListNumbering(list, item);
+    if (item.listId) this._setGeneratedAttribute(list, 'data-listid', item.listId);
+    if (item.legal) list.className = 'legal-list';
+    if (item.task) list.className = 'task-list';
+    return list;
+  }
+
+  /**
+   * Whether `item` belongs to another list than the one opened by `opener`:
+   * numbers after bullets or the reverse, tasks after other items or the
+   * reverse, or a different list id.
+   */
+  _startsNewList(opener, item) {
+    return opener.isOrdered !== item.isOrdered || !opener.task !== !item.task ||
+      (opener.listId != null && item.listId != null && opener.listId !== item.listId);
+  }
+
+  /**
+   * Build lists from flat items ({ level, isOrdered, html } plus optional
+   * listId, type, start, marker and task). A top-level item that belongs to another
+   * list (see _startsNewList) starts a new root list; an ordered list following
+   * another one with a different list id restarts its numbering.
+   *
+   * With the legalNumbering option, the numbered items of a list with
+   * multi-level markers keep their marker text (see isLegalMarker).
+   *
+   * @returns {DocumentFragment}
+   */
+  buildLists(doc, items) {
+    if (this.options.legalNumbering) {
+      const legal = new Set(items.filter(item => this.isLegalMarker(item.marker)).map(item => item.listId));
+      items = items.map(item => (item.isOrdered && item.marker && legal.has(item.listId) ? { ...item, legal: true } : item));
+    }
+
+    const fragment = doc.createDocumentFragment();
+    const minLevel = Math.min(...items.map(item => item.level));
+    let run = [];
+    const flush = () => {
+      if (run.length) fragment.appendChild(this.buildNestedList(doc, run));
+      run = [];
+    };
+
+    items.forEach(item => {
+      const opener = run.find(prev => prev.level === minLevel);
+      if (opener && item.level === minLevel && this._startsNewList(opener, item)) {
+        flush();
+        if (item.isOrdered && opener.isOrdered) item = { ...item, restart: true };
+      }
+      run.push(item);
+    });
+    flush();
+    return fragment;
+  }
+
+  /**
+   * Build one list, nesting items by level. Each nested list takes its tag
+   * from the item that opens it; an item of another list at the same nested
+   * level (bullets after numbered sub-items) opens a sibling list.
    */
   buildNestedList(doc, items) {
     if (!items.length) return doc.createElement('ul');
 
-    const rootTag = items[0].isOrdered ? 'ol' : 'ul';
-    const root = doc.createElement(rootTag);
-    const stack = [{ list: root, level: 1 }];
+    const root = this._createList(doc, items[0]);
+    const stack = [{ list: root, level: 1, opener: items[0] }];
 
-    for (const { level, isOrdered, html } of items) {
+    for (const item of items) {
+      const { level, html } = item;
       while (stack.length > 1 && stack[stack.length - 1].level > level) {
         stack.pop();
       }
@@ -436,14 +1113,25 @@ export default class WordCleaner {
 
       if (top.level < level) {
         const lastLi = top.list.lastElementChild;
-        const nestedTag = isOrdered ? 'ol' : 'ul';
-        const nestedList = doc.createElement(nestedTag);
+        const nestedList = this._createList(doc, item);
         (lastLi || top.list).appendChild(nestedList);
-        stack.push({ list: nestedList, level });
+        stack.push({ list: nestedList, level, opener: item });
+      } else if (stack.length > 1 && this._startsNewList(top.opener, item)) {
+        const nestedList = this._createList(doc, item);
+        top.list.after(nestedList);
+        stack[stack.length - 1] = { list: nestedList, level, opener: item };
       }
 
       const li = doc.createElement('li');
       li.innerHTML = html;
+      if (item.legal) {
+        const marker = doc.createElement('span');
+        marker.className = 'list-marker';
+        this._setGeneratedAttribute(marker, 'contenteditable', 'false', true);
+        marker.textContent = item.marker;
+        li.prepend(marker, ' ');
+      }
+      if (item.task) li.prepend(this._checkbox(doc, item.task.checked), ' ');
       stack[stack.length - 1].list.appendChild(li);
     }
 
@@ -460,18 +1148,46 @@ export default class WordCleaner {
     });
   }
 
+  /**
+   * Whether `list` continues the numbering of the list before it: always
+   * for bullets and for an <ol> without start, otherwise only if its start
+   * follows on from the previous list's last number and it has the same type.
+   */
+  _continuesList(prev, list) {
+    if (list.tagName.toUpperCase() !== 'OL' || !list.hasAttribute('start')) return true;
+    const prevStart = parseInt(prev.getAttribute('start') || '1', 10);
+    return (prev.getAttribute('type') || '1') === (list.getAttribute('type') || '1') &&
+      parseInt(list.getAttribute('start'), 10) === prevStart + prev.children.length;
+  }
+
+  /**
+   * False for lists known to be separate: data-listid from buildLists, or
+   * Word Online's data-listid on the first item.
+   */
+  _sameListId(prev, list) {
+    const listId = el => el.getAttribute('data-listid') ||
+      (el.firstElementChild && el.firstElementChild.getAttribute('data-listid')) || null;
+    return listId(prev) === null || listId(list) === null || listId(prev) === listId(list);
+  }
+
   /**
    * Merge consecutive <ul>/<ol> siblings of the same type.
    * Word Online outputs each list item in its own wrapper, resulting in
    * multiple consecutive same-type lists after div unwrapping.
    */
   mergeSiblingLists(container) {
+    // Lists with different kept classes (e.g. a task list next to a plain
+    // list, or the footnotes after a numbered list) stay separate
+    const CLASSES = new Set(this.options.allowedClasses);
+    const keptClasses = list => (list.getAttribute('class') || '').split(/\s+/).filter(c => CLASSES.has(c)).join(' ');
     let changed = true;
     while (changed) {
       changed = false;
       container.querySelectorAll('ul + ul, ol + ol').forEach(list => {
         const prev = list.previousElementSibling;
-        if (prev && prev.tagName === list.tagName) {
+        if (prev && prev.tagName === list.tagName && keptClasses(prev) === keptClasses(list) &&
+            this._sameListId(prev, list) && this._continuesList(prev, list)) {
+          list.removeAttribute('start');
           while (list.firstChild) prev.appendChild(list.firstChild);
           list.remove();
           changed = true;
@@ -481,104 +1197,1464 @@ export default class WordCleaner {
   }
 
   // ---------------------------------------------------------------------------
-  // Noise removal
+  // Google Docs
   // ---------------------------------------------------------------------------
 
-  removeNoiseNodes(container) {
-    // Remove HTML comment nodes (e.g. <!--StartFragment--> / <!--EndFragment-->
-    // that Excel embeds inside table markup)
-    const walker = container.ownerDocument.createTreeWalker(container, 128 /* SHOW_COMMENT */);
-    const comments = [];
-    let node;
-    while ((node = walker.nextNode())) comments.push(node);
-    comments.forEach(c => c.remove());
-
-    container.querySelectorAll('o\\:p').forEach(el => {
-      if (el.textContent.trim()) {
-        el.replaceWith(...el.childNodes);
-      } else {
-        el.remove();
-      }
+  /**
+   * Convert Google Docs markup into the structure the remaining stages expect:
+   *   - unwrap the <b style="font-weight:normal" id="docs-internal-guid-…">
+   *     wrapper, which is not bold at all
+   *   - rebuild nested lists from the flat <li aria-level="N"> items
+   *   - turn paragraphs set entirely in a larger font than the body text into
+   *     headings (custom "Title"-like styles; real headings arrive as <hN>)
+   *   - drop font sizes equal to the body text size, which Google Docs
+   *     repeats on every run
+   *   - collapse identical per-side cell borders into `border`
+   */
+  convertGoogleDocs(container, source) {
+    if (source !== 'google-docs') return;
+    container.querySelectorAll('[id^="docs-internal-guid-"]').forEach(el => {
+      if (el.parentNode) el.replaceWith(...el.childNodes);
     });
+    container.querySelectorAll('meta, br.Apple-interchange-newline, colgroup, col').forEach(el => el.remove());
+
+    this._rebuildFlatLists(container);
+    const bodySize = this._googleDocsBodySize(container);
+    if (bodySize) {
+      this._convertGoogleDocsHeadings(container, bodySize);
+      container.querySelectorAll('[style]').forEach(el => {
+        const style = this._parseStyleStr(el.getAttribute('style'));
+        if (style['font-size'] !== bodySize) return;
+        delete style['font-size'];
+        this._setStyle(el, style);
+      });
+    }
+    this._collapseCellBorderSides(container);
+  }
 
-    Array.from(container.querySelectorAll('*')).forEach(el => {
-      if (el.tagName?.includes(':') && el.parentNode) {
-        el.replaceWith(...el.childNodes);
-      }
+  /**
+   * Google Docs and OneNote write lists as flat <li> items carrying their
+   * nesting level in aria-level (or, in older versions, only as margin-left),
+   * with deeper <ul>/<ol> often placed directly inside the parent list rather
+   * than inside an <li>. Each outermost list is rebuilt from its items with
+   * buildLists().
+   */
+  _rebuildFlatLists(container) {
+    const doc = container.ownerDocument;
+    const roots = Array.from(container.querySelectorAll('ul, ol'))
+      .filter(list => !list.parentNode.closest('ul, ol'));
+
+    roots.forEach(root => {
+      const lis = Array.from(root.querySelectorAll('li'));
+      // Without aria-level, rank the distinct left margins: smallest = level 1
+      const margins = [...new Set(lis.map(li => this._marginLeftPt(li)))].sort((a, b) => a - b);
+      const items = lis.map(li => {
+        const content = li.cloneNode(true);
+        content.querySelectorAll('ul, ol').forEach(list => list.remove());
+        let depth = 0;
+        for (let el = li; el && el !== root.parentNode; el = el.parentNode) {
+          if (/^(UL|OL)$/i.test(el.tagName)) depth++;
+        }
+        return {
+          level: parseInt(li.getAttribute('aria-level') || '0', 10) ||
+            Math.max(depth, margins.indexOf(this._marginLeftPt(li)) + 1),
+          isOrdered: this._isOrderedListItem(li),
+          html: content.innerHTML,
+        };
+      });
+      root.replaceWith(this.buildLists(doc, items));
     });
+  }
 
-    // Remove Word Online EOP (end-of-paragraph) spans
-    container.querySelectorAll('span').forEach(span => {
-      const cls = span.getAttribute('class') || '';
-      if (/\bEOP\b/.test(cls) && span.parentNode) span.remove();
-    });
+  _marginLeftPt(el) {
+    return this._lengthPt(this._parseStyleStr(el.getAttribute('style'))['margin-left']);
+  }
 
-    // Unwrap spans that carry no visual styles (MSO noise spans and Word Online TextRun spans)
-    container.querySelectorAll('span').forEach(span => {
-      if (this.hasOnlyNoisyStyles(span) && span.parentNode) {
-        span.replaceWith(...span.childNodes);
-      }
-    });
+  _lengthPt(value = '0') {
+    const UNITS = { px: 0.75, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, pc: 12 };
+    const n = parseFloat(value) || 0;
+    const unit = (value.match(/[a-z]+$/i) || [''])[0].toLowerCase();
+    return n * (UNITS[unit] || 1);
+  }
 
-    // Unwrap <p> inside <li> and table cells — Word Online wraps item text in <p>
-    container.querySelectorAll('li, td, th').forEach(cell => {
-      const doc = cell.ownerDocument;
-      const paragraphs = Array.from(cell.querySelectorAll(':scope > p'));
-      if (!paragraphs.length) return;
-      paragraphs.forEach((p, idx) => {
-        const frag = doc.createDocumentFragment();
-        if (idx > 0) frag.appendChild(doc.createElement('br'));
-        while (p.firstChild) frag.appendChild(p.firstChild);
-        p.parentNode.insertBefore(frag, p);
-        p.parentNode.removeChild(p);
-      });
-    });
+  _isOrderedListItem(li) {
+    const type = this._parseStyleStr(li.getAttribute('style'))['list-style-type'];
+    if (type) return !/^(disc|circle|square|none)$/.test(type);
+    return li.parentNode.tagName.toUpperCase() === 'OL';
+  }
 
-    container.querySelectorAll('img').forEach(img => {
-      const src = img.getAttribute('src') || '';
-      if (!src.startsWith('http://') && !src.startsWith('https://') && !src.startsWith('data:')) {
-        img.remove();
-      }
+  /**
+   * The most common font size of the text, weighted by text length.
+   */
+  _googleDocsBodySize(container) {
+    const weights = {};
+    container.querySelectorAll('span[style]').forEach(span => {
+      const size = this._parseStyleStr(span.getAttribute('style'))['font-size'];
+      if (size) weights[size] = (weights[size] || 0) + span.textContent.length;
     });
+    const sizes = Object.keys(weights).sort((a, b) => weights[b] - weights[a]);
+    return sizes[0] || null;
+  }
 
-    container.querySelectorAll('br[style]').forEach(br => {
-      if (/mso-/i.test(br.getAttribute('style') || '')) {
-        br.removeAttribute('style');
-      }
+  _convertGoogleDocsHeadings(container, bodySize) {
+    const bodyPt = parseFloat(bodySize);
+    container.querySelectorAll('p').forEach(p => {
+      if (p.closest('li, td, th')) return;
+      const runs = Array.from(p.querySelectorAll('span[style]')).filter(span => span.textContent.trim());
+      if (!runs.length) return;
+      const isLarger = span => parseFloat(this._parseStyleStr(span.getAttribute('style'))['font-size']) > bodyPt;
+      if (!runs.every(isLarger)) return;
+      const heading = container.ownerDocument.createElement(this._inferHeadingTagFromFontSize(p));
+      heading.innerHTML = p.innerHTML;
+      p.replaceWith(heading);
     });
   }
 
-  hasOnlyNoisyStyles(span) {
-    const style = span.getAttribute('style') || '';
-    if (!style.trim()) return true;
-    const VISUAL = /^(color|background-color|font-size|font-weight|font-style|text-decoration|vertical-align)\s*:/i;
-    return style.split(';').map(p => p.trim()).filter(Boolean).every(p => !VISUAL.test(p));
+  /**
+   * Google Docs and LibreOffice set each cell side separately
+   * (`border-left: solid #000000 1pt`). Identical sides become one `border`
+   * shorthand; other borders are dropped later by cleanStyles.
+   */
+  _collapseCellBorderSides(container) {
+    const SIDES = ['border-top', 'border-right', 'border-bottom', 'border-left'];
+    container.querySelectorAll('td, th').forEach(cell => {
+      const style = this._parseStyleStr(cell.getAttribute('style'));
+      const value = style['border-top'];
+      if (!value || !SIDES.every(side => style[side] === value)) return;
+      SIDES.forEach(side => delete style[side]);
+      const parts = value.split(/\s+/);
+      const width = parts.find(part => /^[\d.]+(pt|px)$/.test(part)) || '1px';
+      const borderStyle = parts.find(part => /^(solid|dashed|dotted|double|none|hidden)$/.test(part)) || 'solid';
+      const color = parts.find(part => part !== width && part !== borderStyle);
+      if (borderStyle !== 'none' && borderStyle !== 'hidden' && parseFloat(width) > 0) {
+        const px = /pt$/.test(width) ? Math.max(1, Math.round(parseFloat(width) * 4 / 3)) + 'px' : width;
+        style.border = px + ' ' + borderStyle + (color ? ' ' + color : '');
+      }
+      this._setStyle(cell, style);
+    });
   }
 
   // ---------------------------------------------------------------------------
-  // Style and attribute cleaning
+  // LibreOffice
   // ---------------------------------------------------------------------------
 
-  cleanStyles(container) {
-    const KEEP = new Set([
-      'color', 'background-color', 'font-size', 'font-weight',
-      'font-style', 'text-decoration', 'text-align', 'vertical-align',
-    ]);
+  /**
+   * Convert LibreOffice Writer/Calc markup into the structure the remaining
+   * stages expect:
+   *   - <font color/size/face> becomes a <span> with color and font-size
+   *     (the face is dropped, like every font-family)
+   *   - <strike> becomes <s>; align/bgcolor attributes become inline styles;
+   *     a `background: <color>` shorthand becomes background-color
+   *   - the western/cjk/ctl script classes and <col> widths are removed
+   *   - identical per-side cell borders are collapsed into `border`
+   */
+  convertLibreOffice(container, source) {
+    if (source !== 'libreoffice-writer' && source !== 'libreoffice-calc') return;
+    const doc = container.ownerDocument;
+    // <font size="1">…<font size="7"> in points
+    const FONT_SIZES = [null, '8pt', '10pt', '12pt', '14pt', '18pt', '24pt', '36pt'];
+
+    const rename = (el, tag) => {
+      const replacement = doc.createElement(tag);
+      while (el.firstChild) replacement.appendChild(el.firstChild);
+      el.replaceWith(replacement);
+      return replacement;
+    };
 
-    // Default/no-op values — visually equivalent to the browser default
-    const DEFAULTS = {
-      'color': new Set(['#000000', 'black', 'windowtext', 'inherit',
-        'rgb(0,0,0)', 'rgb(0, 0, 0)']),
-      'background-color': new Set(['#ffffff', 'white', 'transparent', 'inherit',
-        'rgb(255,255,255)', 'rgb(255, 255, 255)']),
-      'font-size': new Set(['12pt']),
-      'font-weight': new Set(['normal', '400']),
-      'font-style': new Set(['normal']),
-      'vertical-align': new Set(['baseline', 'top']),
-      'text-align': new Set(['left', 'start']),
+    Array.from(container.querySelectorAll('font')).reverse().forEach(font => {
+      const style = this._parseStyleStr(font.getAttribute('style'));
+      const color = font.getAttribute('color');
+      const size = FONT_SIZES[parseInt(font.getAttribute('size') || '0', 10)];
+      if (color && !style.color) style.color = color.toLowerCase();
+      if (size && !style['font-size']) style['font-size'] = size;
+      this._setStyle(rename(font, 'span'), style);
+    });
+    container.querySelectorAll('strike').forEach(el => rename(el, 's'));
+
+    container.querySelectorAll('[align], [bgcolor]').forEach(el => {
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      const align = (el.getAttribute('align') || '').toLowerCase();
+      const bgcolor = el.getAttribute('bgcolor');
+      // align on <table> positions the table, it does not align text
+      if (align && !style['text-align'] && el.tagName.toUpperCase() !== 'TABLE') style['text-align'] = align;
+      if (bgcolor && !style['background-color']) style['background-color'] = bgcolor.toLowerCase();
+      el.removeAttribute('align');
+      el.removeAttribute('bgcolor');
+      this._setStyle(el, style);
+    });
+
+    container.querySelectorAll('[style]').forEach(el => {
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      if (!style.background) return;
+      if (!style['background-color'] && /^(#[0-9a-f]{3,8}|rgba?\([^)]*\)|[a-z]+)$/.test(style.background)) {
+        style['background-color'] = style.background;
+      }
+      delete style.background;
+      this._setStyle(el, style);
+    });
+
+    container.querySelectorAll('[class]').forEach(el => {
+      const classes = el.getAttribute('class').split(/\s+/).filter(c => c && !/^(western|cjk|ctl)$/.test(c));
+      if (classes.length) el.setAttribute('class', classes.join(' '));
+      else el.removeAttribute('class');
+    });
+    container.querySelectorAll('colgroup, col').forEach(el => el.remove());
+    this._collapseCellBorderSides(container);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Outlook
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert an Outlook email (thread) into plain document structure:
+   *   - drop OWA's x_ prefix from classes and ids, so the Word stages apply
+   *   - unwrap Safe Links back to the original URL
+   *   - replace each reply header (From/Sent/To/Subject) with a clean
+   *     paragraph and move the quoted message after it into a <blockquote>;
+   *     older replies inside it end up in nested blockquotes
+   *   - unwrap borderless MsoNormalTable layout tables (signatures)
+   */
+  convertOutlook(container, source) {
+    if (source !== 'outlook') return;
+
+    container.querySelectorAll('[class], [id]').forEach(el => {
+      const cls = el.getAttribute('class');
+      if (cls) el.setAttribute('class', cls.replace(/(^|\s)x_/g, '$1'));
+      const id = el.getAttribute('id');
+      if (id && id.startsWith('x_')) el.setAttribute('id', id.slice(2));
+    });
+
+    container.querySelectorAll('a[href]').forEach(a => {
+      const href = a.getAttribute('href');
+      const url = this.unwrapSafeLink(href);
+      if (url === href) return;
+      a.setAttribute('href', url);
+      if (a.textContent.trim() === href) a.textContent = url;
+      a.removeAttribute('originalsrc');
+    });
+
+    this._collectReplyHeaders(container).forEach(header => this._convertReplyHeader(container, header));
+    this._unwrapLayoutTables(container);
+  }
+
+  /**
+   * Returns the original URL of an Outlook Safe Links URL
+   * (https://…safelinks.protection.outlook.com/?url=…&data=…), or the URL
+   * unchanged. Only http:, https: and mailto: URLs are unwrapped.
+   */
+  unwrapSafeLink(href) {
+    const m = (href || '').match(/^https?:\/\/[^/?#]*\.safelinks\.protection\.outlook\.com\/?\?(.*)$/i);
+    if (!m) return href;
+    const param = m[1].split('&').find(pair => pair.startsWith('url='));
+    if (!param) return href;
+    let url;
+    try {
+      url = decodeURIComponent(param.slice(4).replace(/\+/g, ' '));
+    } catch (e) {
+      return href;
+    }
+    // Never turn a link into javascript: or data: through the url parameter
+    return /^(https?|mailto):/i.test(url.trim()) ? url : href;
+  }
+
+  /**
+   * Reply headers in document order: OWA's #divRplyFwdMsg and desktop
+   * Outlook's separator div with a light top border.
+   */
+  _collectReplyHeaders(container) {
+    return Array.from(container.querySelectorAll('div')).filter(div => {
+      if (div.getAttribute('id') === 'divRplyFwdMsg') return true;
+      const style = this._parseStyleStr(div.getAttribute('style'));
+      return /^solid\s+#(e1e1e1|b5c4df)/.test(style['border-top'] || '');
+    });
+  }
+
+  _convertReplyHeader(container, header) {
+    const doc = container.ownerDocument;
+
+    // Header text as "Label: value" lines
+    const clone = header.cloneNode(true);
+    clone.querySelectorAll('br').forEach(br => br.replaceWith(doc.createTextNode('\n')));
+    clone.querySelectorAll('p, div').forEach(el => el.appendChild(doc.createTextNode('\n')));
+    const lines = clone.textContent.split('\n')
+      .map(line => line.replace(/[\s\u00a0]+/g, ' ').trim())
+      .filter(Boolean);
+
+    const p = doc.createElement('p');
+    lines.forEach((line, i) => {
+      if (i > 0) p.appendChild(doc.createElement('br'));
+      const m = line.match(/^([^:]{1,40}):\s*(.*)$/);
+      if (m) {
+        const label = doc.createElement('b');
+        label.textContent = m[1] + ':';
+        p.appendChild(label);
+        p.appendChild(doc.createTextNode(' ' + m[2]));
+      } else {
+        p.appendChild(doc.createTextNode(line));
+      }
+    });
+
+    // OWA puts a separator rule right before the header
+    const prev = header.previousElementSibling;
+    if (prev && prev.tagName.toUpperCase() === 'HR') prev.remove();
+
+    // The quoted message follows the header — possibly only at an outer level,
+    // as desktop Outlook wraps the header div in another div. Everything after
+    // the header, up through its enclosing divs, is quoted; what comes before
+    // it (the reply) stays in place.
+    const quote = doc.createElement('blockquote');
+    for (let node = header; node !== container; node = node.parentNode) {
+      while (node.nextSibling) quote.appendChild(node.nextSibling);
+      if (node.parentNode.tagName.toUpperCase() !== 'DIV') break;
+    }
+    header.replaceWith(p);
+    if (quote.textContent.trim() || quote.querySelector('img')) p.after(quote);
+  }
+
+  /**
+   * Signatures are laid out with borderless MsoNormalTable tables. Replace
+   * such a table with its cells' content, row by row.
+   */
+  _unwrapLayoutTables(container) {
+    Array.from(container.querySelectorAll('table')).reverse().forEach(table => {
+      if (!/\bMsoNormalTable\b/.test(table.getAttribute('class') || '')) return;
+      const cells = Array.from(table.querySelectorAll('td, th'));
+      const bordered = cells.some(cell => {
+        const style = this._parseStyleStr(cell.getAttribute('style'));
+        return Object.entries(style).some(([prop, value]) =>
+          /^border(-top|-right|-bottom|-left)?$/.test(prop) && !/^none\b/.test(value));
+      });
+      if (bordered) return;
+      cells.forEach(cell => {
+        if (cell.closest('table') === table) table.before(...cell.childNodes);
+      });
+      table.remove();
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // PowerPoint and OneNote
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convert PowerPoint slide markup — absolutely positioned text box divs
+   * with one div per paragraph — into paragraphs and lists in reading order
+   * (top to bottom, then left to right). Paragraphs with a bullet or number
+   * marker (an absolutely positioned span) become list items; the outline
+   * level comes from the paragraph class (O, O1, O2…).
+   */
+  convertPowerPoint(container, source) {
+    if (source !== 'powerpoint') return;
+    const doc = container.ownerDocument;
+    const fragment = doc.createDocumentFragment();
+
+    // Run sizes are percentages of the slide's base size, which the editor lacks
+    container.querySelectorAll('[style]').forEach(el => {
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      if (!/%$/.test(style['font-size'] || '')) return;
+      delete style['font-size'];
+      this._setStyle(el, style);
+    });
+
+    this._sortByPosition(this._positionedBoxes(container)).forEach(box => {
+      let items = [];
+      const flush = () => {
+        if (items.length) fragment.appendChild(this.buildLists(doc, items));
+        items = [];
+      };
+      const paragraphs = Array.from(box.children).filter(el => el.tagName.toUpperCase() === 'DIV');
+      (paragraphs.length ? paragraphs : [box]).forEach(para => {
+        const marker = Array.from(para.children).find(el =>
+          /^absolute$/.test(this._parseStyleStr(el.getAttribute('style')).position || ''));
+        const markerText = marker ? marker.textContent.trim() : '';
+        if (marker) marker.remove();
+        if (!para.textContent.trim() && !para.querySelector('img')) return;
+        if (markerText) {
+          const m = (para.getAttribute('class') || '').match(/^[A-Za-z]+(\d)$/);
+          items.push({
+            level: m ? parseInt(m[1], 10) + 1 : 1,
+            isOrdered: /^([0-9]+|[a-z]|[ivxlc]+)[.)]$/i.test(markerText),
+            html: para.innerHTML,
+          });
+        } else {
+          flush();
+          const p = doc.createElement('p');
+          p.innerHTML = para.innerHTML;
+          fragment.appendChild(p);
+        }
+      });
+      flush();
+      box.remove();
+    });
+    container.appendChild(fragment);
+  }
+
+  /**
+   * Convert OneNote page markup: absolutely positioned outlines are put in
+   * reading order, flat lists are nested properly and to-do tags become
+   * task list items (see _convertTodoTags).
+   */
+  convertOneNote(container, source) {
+    if (source !== 'onenote') return;
+    const boxes = this._sortByPosition(this._positionedBoxes(container));
+    boxes.forEach(box => container.appendChild(box));
+    this._rebuildFlatLists(container);
+    this._convertTodoTags(container);
+  }
+
+  /** Outermost absolutely positioned divs (slide text boxes, OneNote outlines). */
+  _positionedBoxes(container) {
+    const isPositioned = el => this._parseStyleStr(el.getAttribute('style')).position === 'absolute';
+    return Array.from(container.querySelectorAll('div')).filter(div =>
+      isPositioned(div) && !Array.from(container.querySelectorAll('div')).some(other =>
+        other !== div && other.contains(div) && isPositioned(other)));
+  }
+
+  _sortByPosition(boxes) {
+    const position = el => {
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      return [parseFloat(style.top) || 0, parseFloat(style.left) || 0];
+    };
+    return boxes
+      .map(box => ({ box, pos: position(box) }))
+      .sort((a, b) => a.pos[0] - b.pos[0] || a.pos[1] - b.pos[1])
+      .map(({ box }) => box);
+  }
+
+  /**
+   * OneNote marks to-do items with a tag image (alt "To Do", "To Do
+   * (completed)"), a data-tag="to-do" / "to-do:completed" attribute (OneNote
+   * on the web), or a leading ☐/☑/☒ character. Tagged paragraphs become items
+   * of a `<ul class="task-list">`; tagged list items get the checkbox in place.
+   */
+  _convertTodoTags(container) {
+    const doc = container.ownerDocument;
+    const checkbox = checked => this._checkbox(doc, checked);
+
+    // Returns null, or { checked } after removing the tag from the block
+    const takeTodoTag = block => {
+      const tag = block.getAttribute('data-tag') || '';
+      if (/^to-?do\b/i.test(tag)) return { checked: /completed/i.test(tag) };
+      const img = Array.from(block.querySelectorAll('img')).find(el => /^to\s*-?do\b/i.test(el.getAttribute('alt') || ''));
+      if (img) {
+        img.remove();
+        return { checked: /complete|checked|done/i.test(img.getAttribute('alt')) };
+      }
+      return this._takeCheckboxGlyph(block);
+    };
+
+    const tasks = new Set();
+    container.querySelectorAll('li').forEach(li => {
+      const todo = takeTodoTag(li);
+      if (!todo) return;
+      li.insertBefore(doc.createTextNode(' '), li.firstChild);
+      li.insertBefore(checkbox(todo.checked), li.firstChild);
+      tasks.add(li);
+    });
+
+    // Only lists of nothing but tasks are task lists: a list mixing tasks and
+    // bullets is split into runs, so the bullets keep their markers
+    new Set(Array.from(tasks, li => li.parentNode)).forEach(list => {
+      let current = null;
+      let position = parseInt(list.getAttribute('start') || '1', 10);
+      Array.from(list.children).forEach((li, i, items) => {
+        const isTask = tasks.has(li);
+        if (i === 0) {
+          current = list;
+        } else if (isTask !== tasks.has(items[i - 1])) {
+          const next = doc.createElement(list.tagName.toLowerCase());
+          if (next.tagName.toUpperCase() === 'OL') next.setAttribute('start', String(position));
+          current.after(next);
+          current = next;
+        }
+        if (isTask) current.setAttribute('class', 'task-list');
+        current.appendChild(li);
+        position++;
+      });
+    });
+
+    container.querySelectorAll('p').forEach(p => {
+      if (p.closest('li')) return;
+      const todo = takeTodoTag(p);
+      if (!todo) return;
+      let list = p.previousElementSibling;
+      if (!list || list.tagName.toUpperCase() !== 'UL' || list.getAttribute('class') !== 'task-list') {
+        list = doc.createElement('ul');
+        list.setAttribute('class', 'task-list');
+        p.before(list);
+      }
+      const li = doc.createElement('li');
+      li.appendChild(checkbox(todo.checked));
+      li.appendChild(doc.createTextNode(' '));
+      while (p.firstChild) li.appendChild(p.firstChild);
+      list.appendChild(li);
+      p.remove();
+    });
+  }
+
+  /** A disabled `<input type="checkbox">` for task-list items. */
+  _checkbox(doc, checked) {
+    const input = doc.createElement('input');
+    input.setAttribute('type', 'checkbox');
+    input.setAttribute('disabled', '');
+    if (checked) input.setAttribute('checked', '');
+    return input;
+  }
+
+  /**
+   * Remove a leading ☐/☑/☒ from the block's text. Returns { checked }, or
+   * null when the text does not start with a ballot box.
+   */
+  _takeCheckboxGlyph(block) {
+    const text = this._collectNodes(block, 3 /* TEXT_NODE */).find(node => node.nodeValue.trim());
+    const m = text && text.nodeValue.match(/^\s*([\u2610\u2611\u2612])\s*/);
+    if (!m) return null;
+    text.nodeValue = text.nodeValue.slice(m[0].length);
+    return { checked: m[1] !== '\u2610' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Indentation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Turn paragraphs in Word's quote styles (MsoQuote, MsoIntenseQuote) into
+   * a <blockquote>, and left indents into the form chosen by the
+   * `indentation` option. Word indents in 36pt (half-inch) steps, so a
+   * 72pt margin is two levels: two nested blockquotes or a 50px margin in
+   * 'summernote' mode. 'margin' rounds the margin to whole em (12pt).
+   * In those two modes a first-line or hanging indent (a negative
+   * text-indent) is kept as text-indent in the same unit; blockquotes cannot
+   * express one, so 'blockquote' drops it. Consecutive paragraphs share
+   * their blockquotes.
+   */
+  convertIndentation(container) {
+    const doc = container.ownerDocument;
+    const mode = this.options.indentation;
+    const created = new Set();
+
+    const previousElement = node => {
+      let prev = node.previousSibling;
+      while (prev && prev.nodeType === 3 /* TEXT_NODE */ && !prev.nodeValue.trim()) prev = prev.previousSibling;
+      return prev;
+    };
+
+    // Move `p` into `depth` nested blockquotes, reusing those of the
+    // paragraph before it as far as they go
+    const quote = (p, depth) => {
+      let target = null;
+      let level = 0;
+      for (let candidate = previousElement(p); level < depth && created.has(candidate); level++) {
+        target = candidate;
+        candidate = target.lastElementChild;
+      }
+      if (!target) {
+        target = doc.createElement('blockquote');
+        p.before(target);
+        created.add(target);
+        level = 1;
+      }
+      for (; level < depth; level++) {
+        const inner = doc.createElement('blockquote');
+        target.appendChild(inner);
+        created.add(inner);
+        target = inner;
+      }
+      target.appendChild(p);
     };
 
+    Array.from(container.querySelectorAll('p')).forEach(p => {
+      if (p.closest('li')) return;
+      const pt = Math.max(this._marginLeftPt(p), 0);
+      const style = this._parseStyleStr(p.getAttribute('style'));
+      const firstLine = this._lengthPt(style['text-indent']);
+      delete style['margin-left'];
+      delete style['text-indent'];
+
+      if (/\bMso(Intense)?Quote\b/.test(p.getAttribute('class') || '')) {
+        this._setStyle(p, style);
+        quote(p, 1);
+        return;
+      }
+
+      const levels = Math.round(pt / 36);
+      if (mode === 'summernote' && levels) style['margin-left'] = `${levels * 25}px`;
+      if (mode === 'margin' && Math.round(pt / 12)) style['margin-left'] = `${Math.round(pt / 12)}em`;
+      if (mode === 'summernote' && Math.round(firstLine * 25 / 36)) style['text-indent'] = `${Math.round(firstLine * 25 / 36)}px`;
+      if (mode === 'margin' && Math.round(firstLine / 12)) style['text-indent'] = `${Math.round(firstLine / 12)}em`;
+      this._setStyle(p, style);
+      if (mode === 'blockquote' && levels) quote(p, levels);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Footnotes and endnotes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Turn footnotes and endnotes into linked notes. Each reference becomes
+   * `<sup><a href="#fn1" id="fnref1">1</a></sup>` (ids prefixed with
+   * noteIdPrefix) and the note texts are
+   * collected into an `<ol class="footnotes">` at the end of the fragment,
+   * each item with a back-link to its reference. Endnotes use `en` ids and
+   * an `<ol class="endnotes">`. Notes are renumbered from 1 in the order of
+   * the pasted fragment.
+   */
+  convertFootnotes(container, source, clipboard = {}) {
+    [['fn', 'footnotes'], ['en', 'endnotes']].forEach(([kind, className]) => {
+      this._appendNotes(container, kind, className, [
+        ...this._collectDesktopNotes(container, kind),
+        ...this._collectWordOnlineNotes(container, kind),
+      ], clipboard.noteIdPrefix);
+    });
+
+    // Word's note sections (and their separator rule) are now empty
+    container.querySelectorAll('div').forEach(div => {
+      if (/mso-element:\s*(footnote|endnote)-list/.test(div.getAttribute('style') || '')) div.remove();
+    });
+  }
+
+  /**
+   * Replace each note's reference with a linked <sup> and add its body to the
+   * `<ol class="{className}">` at the end of the container, continuing the
+   * numbering of a list that is already there. The ids are generated
+   * attributes, kept whatever allowedAttributes says for A and LI.
+   *
+   * @param {Array<{ref: ?Element, body: ?Element}>} notes
+   * @param {string} [prefix] the noteIdPrefix of the clean() call
+   */
+  _appendNotes(container, kind, className, notes, prefix = '') {
+    if (!notes.length) return;
+    const doc = container.ownerDocument;
+    let list = Array.from(container.children)
+      .find(el => el.tagName.toUpperCase() === 'OL' && el.getAttribute('class') === className);
+    const offset = list ? list.children.length : 0;
+    if (!list) {
+      list = doc.createElement('ol');
+      list.setAttribute('class', className);
+    }
+
+    notes.forEach(({ ref, body }, i) => {
+      const n = offset + i + 1;
+      const noteId = `${prefix}${kind}${n}`;
+      const refId = `${prefix}${kind}ref${n}`;
+      if (ref) {
+        const sup = doc.createElement('sup');
+        if (body) {
+          const a = doc.createElement('a');
+          this._setGeneratedAttribute(a, 'href', `#${noteId}`, true);
+          this._setGeneratedAttribute(a, 'id', refId, true);
+          a.textContent = String(n);
+          sup.appendChild(a);
+        } else {
+          // The note text was not part of the selection
+          sup.textContent = String(n);
+        }
+        ref.replaceWith(sup);
+      }
+      if (!body) return;
+      const li = doc.createElement('li');
+      this._setGeneratedAttribute(li, 'id', noteId, true);
+      while (body.firstChild) li.appendChild(body.firstChild);
+      this._trimLeadingSpace(li);
+      if (ref) {
+        const back = doc.createElement('a');
+        this._setGeneratedAttribute(back, 'href', `#${refId}`, true);
+        back.textContent = '\u21a9';
+        li.appendChild(doc.createTextNode(' '));
+        li.appendChild(back);
+      }
+      list.appendChild(li);
+    });
+    if (list.children.length && !list.parentNode) container.appendChild(list);
+  }
+
+  /**
+   * Word desktop links each reference (`<a href="#_ftn1" name="_ftnref1">`,
+   * endnotes `_edn`) to a note div (`<div id="ftn1">`) whose paragraphs start
+   * with a link back. Returns [{ ref, body }] in note number order, with the
+   * note content moved into a detached body element.
+   */
+  _collectDesktopNotes(container, kind) {
+    const prefix = kind === 'fn' ? 'ftn' : 'edn';
+    const notes = new Map();
+    const note = n => {
+      if (!notes.has(n)) notes.set(n, { ref: null, body: null });
+      return notes.get(n);
+    };
+
+    container.querySelectorAll('a[href]').forEach(a => {
+      const m = a.getAttribute('href').match(new RegExp(`^#_${prefix}(\\d+)$`));
+      if (m) note(parseInt(m[1], 10)).ref = a;
+    });
+    container.querySelectorAll('div[id]').forEach(div => {
+      const m = div.getAttribute('id').match(new RegExp(`^${prefix}(\\d+)$`));
+      if (!m) return;
+      div.querySelectorAll('a[href]').forEach(a => {
+        if (new RegExp(`^#_${prefix}ref\\d+$`).test(a.getAttribute('href'))) a.remove();
+      });
+      note(parseInt(m[1], 10)).body = this._noteBody(Array.from(div.children));
+      div.remove();
+    });
+
+    return Array.from(notes.keys()).sort((a, b) => a - b).map(n => notes.get(n));
+  }
+
+  /**
+   * Word Online marks references with a FootnoteReference (EndnoteReference)
+   * class and note paragraphs with the "footnote text" ("endnote text")
+   * paragraph style; the two are matched by order.
+   */
+  _collectWordOnlineNotes(container, kind) {
+    const name = kind === 'fn' ? 'footnote' : 'endnote';
+    const refClass = kind === 'fn' ? 'FootnoteReference' : 'EndnoteReference';
+    const hasRefClass = el => (el.getAttribute('class') || '').split(/\s+/).includes(refClass);
+
+    const paras = Array.from(container.querySelectorAll('p')).filter(p => {
+      const styled = p.querySelector('[data-ccp-parastyle]');
+      return styled && styled.getAttribute('data-ccp-parastyle').toLowerCase().trim() === `${name} text`;
+    });
+    const refs = Array.from(container.querySelectorAll('[class]'))
+      .filter(el => hasRefClass(el) && !paras.some(p => p.contains(el)) &&
+        !(el.parentNode && el.parentNode.nodeType === 1 && hasRefClass(el.parentNode)));
+
+    const bodies = paras.map(p => {
+      p.querySelectorAll('[class]').forEach(el => { if (hasRefClass(el)) el.remove(); });
+      const body = this._noteBody([p]);
+      p.remove();
+      return body;
+    });
+    return Array.from({ length: Math.max(refs.length, bodies.length) },
+      (_, i) => ({ ref: refs[i] || null, body: bodies[i] || null }));
+  }
+
+  /** Drop the space Word puts between a note number and the note text. */
+  _trimLeadingSpace(el) {
+    for (const node of this._collectNodes(el, 3 /* TEXT_NODE */)) {
+      node.nodeValue = node.nodeValue.replace(/^[\s\u00a0]+/, '');
+      if (node.nodeValue) break;
+    }
+  }
+
+  /** A detached element holding a note's content: inline for a single paragraph. */
+  _noteBody(paragraphs) {
+    const body = paragraphs[0].ownerDocument.createElement('div');
+    if (paragraphs.length === 1 && paragraphs[0].tagName.toUpperCase() === 'P') {
+      while (paragraphs[0].firstChild) body.appendChild(paragraphs[0].firstChild);
+    } else {
+      paragraphs.forEach(p => body.appendChild(p));
+    }
+    return body;
+  }
+
+  /**
+   * Make a note body fit inside a paragraph: block elements are unwrapped and
+   * the texts of consecutive blocks separated by "; ". Empty blocks go.
+   */
+  _inlineNoteBody(body) {
+    const doc = body.ownerDocument;
+    const BLOCKS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'UL', 'OL', 'LI']);
+    const hasContent = node => node.textContent.replace(/\u00a0/g, ' ').trim() ||
+      (node.nodeType === 1 && node.querySelector('img'));
+    // Last first, so nested blocks are unwrapped before their parents
+    const blocks = () => Array.from(body.querySelectorAll('*')).reverse()
+      .filter(el => BLOCKS.has(el.tagName.toUpperCase()));
+    blocks().forEach(el => { if (!hasContent(el)) el.remove(); });
+    blocks().forEach(el => {
+      if (el.previousSibling && hasContent(el.previousSibling)) el.before(doc.createTextNode('; '));
+      el.replaceWith(...el.childNodes);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Symbol fonts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replace characters set in Symbol, Wingdings, Wingdings 2 or Webdings
+   * with their Unicode equivalents while the font-family is still there —
+   * cleanStyles removes it, which would turn a Wingdings check mark into
+   * "ü". Runs first, so list markers (mso-list:Ignore) are translated before
+   * convertLists looks at them. The font is taken from the nearest element
+   * with a font-family, mso-symbol-font-family or <font face>.
+   */
+  convertSymbolFonts(container) {
+    const fontOf = el => {
+      if (el.tagName.toUpperCase() === 'FONT' && el.getAttribute('face')) return el.getAttribute('face');
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      return style['mso-symbol-font-family'] || style['font-family'] || null;
+    };
+
+    this._collectNodes(container, 3 /* TEXT_NODE */).forEach(node => {
+      let font = null;
+      for (let el = node.parentNode; el && el !== container && font === null; el = el.parentNode) {
+        font = fontOf(el);
+      }
+      if (font) node.nodeValue = this._mapSymbolText(font, node.nodeValue);
+    });
+  }
+
+  /**
+   * Text set in a symbol font (a font-family value) as Unicode; text in
+   * other fonts is returned unchanged.
+   */
+  _mapSymbolText(font, text) {
+    const CP1252 = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+      '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+    const table = WordCleaner.SYMBOL_FONTS[font.split(',')[0].replace(/["']/g, '').trim().toLowerCase()];
+    if (!table) return text;
+    return text.replace(/[^\s]/g, ch => {
+      let code = ch.charCodeAt(0);
+      // Bytes 0x80–0x9F arrive as their Windows-1252 characters
+      if (CP1252.includes(ch)) code = 0x80 + CP1252.indexOf(ch);
+      else if (code >= 0xf000 && code <= 0xf0ff) code -= 0xf000;
+      return table[code] || ch;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Equations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Word writes each equation twice: as OMML inside an
+   * `<!--[if gte msEquation 12]>` comment and as a fallback image (a local
+   * file) in an `<![if !msEquation]>` block. Drop the fallback, and write
+   * OMML's self-closing property tags (`<m:chr m:val="∑"/>`) as start/end
+   * tag pairs — the HTML parser would otherwise treat them as open elements.
+   */
+  preprocessEquations(html) {
+    if (!/<m:oMath/i.test(html)) return html;
+    return html
+      .replace(/<!(--)?\[if !msEquation\]>[\s\S]*?<!\[endif\](--)?>/gi, '')
+      .replace(/<(m:\w+)([^<>]*?)\s*\/>/g, '<$1$2></$1>');
+  }
+
+  /**
+   * Replace OMML equations (m:oMath, display equations in m:oMathPara) with
+   * presentation MathML.
+   */
+  convertEquations(container) {
+    const ommlElements = name => Array.from(container.querySelectorAll('*'))
+      .filter(el => el.tagName.toLowerCase() === `m:${name}`);
+
+    ommlElements('omath').forEach(omath => omath.replaceWith(this.ommlToMathml(omath)));
+    ommlElements('omathpara').forEach(para => {
+      para.replaceWith(...Array.from(para.children).filter(el => el.tagName.toLowerCase() === 'math'));
+    });
+  }
+
+  /**
+   * Convert one m:oMath element — from pasted HTML or from a .docx XML
+   * part — to a `<math>` element: runs become mi/mn/mo tokens; fractions,
+   * sub/superscripts, radicals, n-ary operators, delimiters, matrices,
+   * equation arrays, functions, limits and accents become their MathML
+   * counterparts. A display equation (inside m:oMathPara) gets
+   * `display="block"`.
+   *
+   * @param {Element} omath
+   * @param {Document} [doc] document to create the MathML in
+   * @returns {Element}
+   */
+  ommlToMathml(omath, doc = omath.ownerDocument) {
+    const math = doc.createElement('math');
+    const parent = omath.parentNode;
+    if (parent && parent.nodeType === 1 && parent.tagName.toLowerCase() === 'm:omathpara') {
+      math.setAttribute('display', 'block');
+    }
+    this._ommlChildren(omath, doc).forEach(node => math.appendChild(node));
+    return math;
+  }
+
+  /** MathML nodes for the children of an OMML element. */
+  _ommlChildren(el, doc) {
+    return Array.from(el.childNodes).flatMap(node => (node.nodeType === 1 ? this._ommlNodes(node, doc) : []));
+  }
+
+  /** The children of an OMML argument (m:e, m:num, m:sup…) as a single MathML node. */
+  _ommlRow(el, doc) {
+    const nodes = el ? this._ommlChildren(el, doc) : [];
+    return nodes.length === 1 ? nodes[0] : this._mml(doc, 'mrow', nodes);
+  }
+
+  _mml(doc, tag, children = [], attrs = {}) {
+    const node = doc.createElement(tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    children.forEach(child => node.appendChild(typeof child === 'string' ? doc.createTextNode(child) : child));
+    return node;
+  }
+
+  _ommlName(el) {
+    const name = el.tagName.toLowerCase();
+    return name.startsWith('m:') ? name.slice(2) : null;
+  }
+
+  _ommlChild(el, name) {
+    return Array.from(el.children).find(child => this._ommlName(child) === name.toLowerCase()) || null;
+  }
+
+  _ommlChildrenNamed(el, name) {
+    return Array.from(el.children).filter(child => this._ommlName(child) === name.toLowerCase());
+  }
+
+  /**
+   * The m:val of a property (e.g. `_ommlProp(nary, 'naryPr', 'chr')`): null
+   * when the property is absent, '' for a flag without a value.
+   */
+  _ommlProp(el, prName, name) {
+    const pr = this._ommlChild(el, prName);
+    const prop = pr && this._ommlChild(pr, name);
+    if (!prop) return null;
+    return prop.getAttribute('m:val') || '';
+  }
+
+  _ommlFlag(el, prName, name) {
+    const value = this._ommlProp(el, prName, name);
+    return value !== null && !/^(0|off|false)$/i.test(value);
+  }
+
+  _ommlNodes(el, doc) {
+    const name = this._ommlName(el);
+    // Formatting Word wraps around runs (<i>, <span style=…>)
+    if (name === null) return this._ommlChildren(el, doc);
+    if (name.endsWith('pr')) return [];
+
+    const mml = (tag, children, attrs) => this._mml(doc, tag, children, attrs);
+    const arg = part => this._ommlRow(this._ommlChild(el, part), doc);
+    const op = text => mml('mo', [text]);
+
+    switch (name) {
+      case 'r':
+        return this._ommlRun(el, doc);
+      case 'f': {
+        const type = this._ommlProp(el, 'fPr', 'type');
+        if (type === 'lin') return [mml('mrow', [arg('num'), op('/'), arg('den')])];
+        return [mml('mfrac', [arg('num'), arg('den')], type === 'noBar' ? { linethickness: '0' } : {})];
+      }
+      case 'ssup':
+        return [mml('msup', [arg('e'), arg('sup')])];
+      case 'ssub':
+        return [mml('msub', [arg('e'), arg('sub')])];
+      case 'ssubsup':
+        return [mml('msubsup', [arg('e'), arg('sub'), arg('sup')])];
+      case 'spre':
+        return [mml('mmultiscripts', [arg('e'), mml('mprescripts'), arg('sub'), arg('sup')])];
+      case 'rad': {
+        const deg = this._ommlChild(el, 'deg');
+        if (this._ommlFlag(el, 'radPr', 'degHide') || !deg || !deg.textContent.trim()) {
+          return [mml('msqrt', [arg('e')])];
+        }
+        return [mml('mroot', [arg('e'), arg('deg')])];
+      }
+      case 'nary': {
+        const chr = this._ommlProp(el, 'naryPr', 'chr') || '\u222b';
+        // Integrals default to side limits, sums and products to limits above/below
+        const limLoc = this._ommlProp(el, 'naryPr', 'limLoc') || (/[\u222b-\u2233]/.test(chr) ? 'subSup' : 'undOvr');
+        const sub = !this._ommlFlag(el, 'naryPr', 'subHide') && arg('sub');
+        const sup = !this._ommlFlag(el, 'naryPr', 'supHide') && arg('sup');
+        const over = limLoc === 'undOvr';
+        let operator = op(chr);
+        if (sub && sup) operator = mml(over ? 'munderover' : 'msubsup', [operator, sub, sup]);
+        else if (sub) operator = mml(over ? 'munder' : 'msub', [operator, sub]);
+        else if (sup) operator = mml(over ? 'mover' : 'msup', [operator, sup]);
+        return [mml('mrow', [operator, arg('e')])];
+      }
+      case 'd': {
+        const chr = (prop, fallback) => {
+          const value = this._ommlProp(el, 'dPr', prop);
+          return value === null ? fallback : value;
+        };
+        const sep = chr('sepChr', '|');
+        const nodes = [];
+        if (chr('begChr', '(')) nodes.push(op(chr('begChr', '(')));
+        this._ommlChildrenNamed(el, 'e').forEach((e, i) => {
+          if (i > 0) nodes.push(op(sep));
+          nodes.push(this._ommlRow(e, doc));
+        });
+        if (chr('endChr', ')')) nodes.push(op(chr('endChr', ')')));
+        return [mml('mrow', nodes)];
+      }
+      case 'm':
+        return [mml('mtable', this._ommlChildrenNamed(el, 'mr').map(row =>
+          mml('mtr', this._ommlChildrenNamed(row, 'e').map(e => mml('mtd', [this._ommlRow(e, doc)])))))];
+      case 'eqarr':
+        return [mml('mtable', this._ommlChildrenNamed(el, 'e').map(e =>
+          mml('mtr', [mml('mtd', [this._ommlRow(e, doc)])])))];
+      case 'func':
+        // U+2061 FUNCTION APPLICATION between the function name and its argument
+        return [mml('mrow', [arg('fName'), op('\u2061'), arg('e')])];
+      case 'limlow':
+        return [mml('munder', [arg('e'), arg('lim')])];
+      case 'limupp':
+        return [mml('mover', [arg('e'), arg('lim')])];
+      case 'acc':
+        return [mml('mover', [arg('e'), op(this._ommlProp(el, 'accPr', 'chr') || '\u0302')], { accent: 'true' })];
+      case 'bar':
+        return this._ommlProp(el, 'barPr', 'pos') === 'top'
+          ? [mml('mover', [arg('e'), op('\u00af')], { accent: 'true' })]
+          : [mml('munder', [arg('e'), op('_')])];
+      case 'groupchr': {
+        const chr = this._ommlProp(el, 'groupChrPr', 'chr') || '\u23df';
+        return this._ommlProp(el, 'groupChrPr', 'pos') === 'top'
+          ? [mml('mover', [arg('e'), op(chr)])]
+          : [mml('munder', [arg('e'), op(chr)])];
+      }
+      case 'borderbox':
+        return [mml('menclose', [arg('e')], { notation: 'box' })];
+      default:
+        // m:e, m:box, m:phant, nested m:oMath…
+        return this._ommlChildren(el, doc);
+    }
+  }
+
+  /**
+   * Tokens for an m:r run: numbers become <mn>, letters <mi> (one per letter
+   * in italic math, one per word for plain-style runs such as "sin"), any
+   * other character <mo>.
+   */
+  _ommlRun(run, doc) {
+    const sty = this._ommlProp(run, 'rPr', 'sty');
+    const text = Array.from(run.childNodes)
+      .filter(node => node.nodeType !== 1 || !this._ommlName(node) || this._ommlName(node) === 't')
+      .map(node => node.textContent).join('');
+    if (this._ommlChild(run, 'rPr') && this._ommlFlag(run, 'rPr', 'nor')) {
+      return text.trim() ? [this._mml(doc, 'mtext', [text])] : [];
+    }
+    const plain = sty === 'p' || sty === 'b';
+    const tokens = [];
+    (text.match(/\d+(?:[.,]\d+)*|\p{L}+|\S/gu) || []).forEach(token => {
+      if (/^\d/.test(token)) {
+        tokens.push(this._mml(doc, 'mn', [token]));
+      } else if (/^\p{L}/u.test(token)) {
+        if (plain) {
+          tokens.push(this._mml(doc, 'mi', [token], token.length === 1 ? { mathvariant: 'normal' } : {}));
+        } else {
+          [...token].forEach(letter => tokens.push(this._mml(doc, 'mi', [letter])));
+        }
+      } else {
+        tokens.push(this._mml(doc, 'mo', [token]));
+      }
+    });
+    return tokens;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tracked changes and comments
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Apply the trackChanges option to Word revision marks: <ins>/<del>
+   * elements (with cite/datetime) and msoIns/msoDel spans. 'preserve' wraps
+   * loose msoIns/msoDel spans in <ins>/<del>; their attributes are removed by
+   * cleanAttributes like any other.
+   */
+  convertTrackChanges(container) {
+    const mode = this.options.trackChanges;
+    const doc = container.ownerDocument;
+    const hasClass = (el, name) => (el.getAttribute('class') || '').split(/\s+/).includes(name);
+    const revisions = kind => Array.from(container.querySelectorAll(`${kind}, span[class]`))
+      .filter(el => el.tagName.toLowerCase() === kind || hasClass(el, kind === 'ins' ? 'msoIns' : 'msoDel'));
+
+    ['ins', 'del'].forEach(kind => {
+      const keep = mode === 'preserve' || (mode === 'accept') === (kind === 'ins');
+      revisions(kind).forEach(el => {
+        if (!el.parentNode) return;
+        if (!keep) {
+          el.remove();
+        } else if (mode === 'preserve') {
+          if (el.tagName.toLowerCase() === kind || el.parentNode.closest(kind)) return;
+          // The span already holds the <ins>/<del>: wrapping would nest them
+          if (el.querySelector(kind)) {
+            el.replaceWith(...el.childNodes);
+            return;
+          }
+          const wrapper = doc.createElement(kind);
+          el.replaceWith(wrapper);
+          wrapper.appendChild(el);
+        } else if (el.tagName.toLowerCase() === kind) {
+          el.replaceWith(...el.childNodes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply the comments option to Word desktop comments: msocomanchor
+   * references (`<a href="#_msocom_1">[AB1]</a>` in a MsoCommentReference
+   * span) and the comment texts in the mso-element:comment-list section.
+   * 'inline' puts `[AB: text]` in place of the reference, 'endnotes' adds the
+   * comments to the endnotes list (see convertFootnotes).
+   */
+  convertComments(container, source, clipboard = {}) {
+    const mode = this.options.comments;
+    const doc = container.ownerDocument;
+    const isCommentRef = el => /(^|\s)MsoCommentReference(\s|$)/.test(el.getAttribute('class') || '');
+
+    // Comment texts by number, with their back-links and reference marks removed
+    const bodies = new Map();
+    container.querySelectorAll('div[id]').forEach(div => {
+      const m = div.getAttribute('id').match(/^_com_(\d+)$/);
+      if (!m) return;
+      div.querySelectorAll('a').forEach(a => {
+        if (/^#_msoanchor_/.test(a.getAttribute('href') || '') || /^_msocom_/.test(a.getAttribute('name') || '')) a.remove();
+      });
+      div.querySelectorAll('[class]').forEach(el => { if (isCommentRef(el)) el.replaceWith(...el.childNodes); });
+      // Some DOMs match <o:p> with the p selector
+      const paras = Array.from(div.querySelectorAll('p')).filter(p => p.tagName.toUpperCase() === 'P');
+      bodies.set(m[1], this._noteBody(paras.length ? paras : [div]));
+    });
+
+    const notes = [];
+    Array.from(container.querySelectorAll('a[href]')).forEach(a => {
+      const m = a.getAttribute('href').match(/^#_msocom_(\d+)$/);
+      if (!m) return;
+      // The anchor sits in (nested) MsoCommentReference spans with a trailing &nbsp;
+      let ref = a;
+      for (let el = a.parentNode; el && el !== container; el = el.parentNode) {
+        if (isCommentRef(el)) ref = el;
+      }
+      const initials = a.textContent.replace(/[[\]\s]/g, '').replace(/\d+$/, '');
+      const body = bodies.get(m[1]) || null;
+
+      if (mode === 'drop' || (!body && mode === 'inline')) {
+        ref.remove();
+      } else if (mode === 'inline') {
+        const fragment = doc.createDocumentFragment();
+        fragment.appendChild(doc.createTextNode(initials ? ` [${initials}: ` : ' ['));
+        this._inlineNoteBody(body);
+        this._trimLeadingSpace(body);
+        while (body.firstChild) fragment.appendChild(body.firstChild);
+        fragment.appendChild(doc.createTextNode(']'));
+        ref.replaceWith(fragment);
+      } else {
+        if (body) this._trimLeadingSpace(body);
+        if (body && initials) body.insertBefore(doc.createTextNode(`${initials}: `), body.firstChild);
+        notes.push({ ref, body });
+      }
+    });
+    if (mode === 'endnotes') this._appendNotes(container, 'en', 'endnotes', notes, clipboard.noteIdPrefix);
+
+    // Empty reference marks at the start of commented ranges, and the comment section
+    container.querySelectorAll('[class]').forEach(el => {
+      if (isCommentRef(el) && !el.textContent.replace(/\u00a0/g, '').trim()) el.remove();
+    });
+    container.querySelectorAll('div').forEach(div => {
+      if (/mso-element:\s*comment-list/.test(div.getAttribute('style') || '')) div.remove();
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Local images
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns true if the HTML references images by local file path — desktop
+   * Word points <img> and <v:imagedata> at file:///…/clip_image001.png.
+   */
+  hasLocalImages(html) {
+    return /\bsrc=["']?file:/i.test(html);
+  }
+
+  /**
+   * Replace file:/// image sources with the image data from the same paste:
+   * the \pict blocks of the RTF flavor, or else the pasted image files.
+   * Images are matched by order. Each picture appears twice in Word HTML —
+   * as VML <v:imagedata> and as an <img> whose v:shapes attribute names the
+   * VML shape — so only VML shapes without such an <img> count.
+   * Images that cannot be matched are removed by removeNoiseNodes.
+   */
+  embedLocalImages(container, source, clipboard = {}) {
+    const rtfImages = clipboard.rtf ? this.extractRtfImages(clipboard.rtf) : [];
+    const candidates = rtfImages.some(Boolean) ? rtfImages : (clipboard.images || []);
+
+    const shapeIds = new Set();
+    container.querySelectorAll('img').forEach(img => {
+      (img.getAttribute('v:shapes') || '').split(',').forEach(id => shapeIds.add(id.trim()));
+    });
+
+    const doc = container.ownerDocument;
+    const slots = [];
+    Array.from(container.querySelectorAll('*')).forEach(el => {
+      const tag = el.tagName.toLowerCase();
+      const src = el.getAttribute('src') || '';
+      if (tag === 'img' && /^file:/i.test(src)) {
+        slots.push(el);
+      } else if (tag === 'v:imagedata' && /^file:/i.test(src)) {
+        const shape = el.parentNode;
+        if (shape && shapeIds.has(shape.getAttribute('id'))) return;
+        const img = doc.createElement('img');
+        img.setAttribute('src', src);
+        const title = el.getAttribute('o:title');
+        if (title) img.setAttribute('alt', title);
+        el.replaceWith(img);
+        slots.push(img);
+      }
+    });
+
+    slots.forEach((img, i) => {
+      if (candidates[i]) img.setAttribute('src', candidates[i]);
+    });
+  }
+
+  /**
+   * Extract the pictures of an RTF document as data URIs, in document order.
+   * PNG and JPEG pictures are returned; other formats (EMF, WMF, DIB) yield
+   * null so the order still lines up with the images in the HTML. The
+   * {\nonshppict} fallback copies Word writes next to each picture are
+   * skipped.
+   */
+  extractRtfImages(rtf) {
+    const images = [];
+    let pos = 0;
+    while ((pos = rtf.indexOf('{\\', pos)) !== -1) {
+      const word = rtf.slice(pos, pos + 16);
+      if (/^\{(\\\*)?\\nonshppict/.test(word)) {
+        pos = this._rtfGroupEnd(rtf, pos);
+      } else if (/^\{\\pict(?![a-z])/.test(word)) {
+        const end = this._rtfGroupEnd(rtf, pos);
+        images.push(this._rtfPictToDataUri(rtf.slice(pos + 1, end - 1)));
+        pos = end;
+      } else {
+        pos++;
+      }
+    }
+    return images;
+  }
+
+  _rtfPictToDataUri(pict) {
+    const type = /\\pngblip/.test(pict) ? 'image/png' : /\\jpegblip/.test(pict) ? 'image/jpeg' : null;
+    if (!type) return null;
+    // Drop nested groups ({\*\blipuid …} is hex too), then control words
+    let body = '';
+    let depth = 0;
+    for (let i = 0; i < pict.length; i++) {
+      const ch = pict[i];
+      if (ch === '\\' && i + 1 < pict.length && '{}\\'.includes(pict[i + 1])) {
+        i++;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+      } else if (depth === 0) {
+        body += ch;
+      }
+    }
+    const hex = body.replace(/\\[a-z]+-?\d* ?/gi, '').replace(/[^0-9a-f]/gi, '');
+    if (!hex) return null;
+    let binary = '';
+    for (let i = 0; i + 1 < hex.length; i += 2) {
+      binary += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    }
+    return `data:${type};base64,${btoa(binary)}`;
+  }
+
+  /** Index just past the RTF group that opens at `start`. */
+  _rtfGroupEnd(rtf, start) {
+    let depth = 0;
+    for (let i = start; i < rtf.length; i++) {
+      const ch = rtf[i];
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        return i + 1;
+      }
+    }
+    return rtf.length;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Noise removal
+  // ---------------------------------------------------------------------------
+
+  removeNoiseNodes(container) {
+    // Remove HTML comment nodes (e.g. <!--StartFragment--> / <!--EndFragment-->
+    // that Excel embeds inside table markup)
+    this._collectNodes(container, 8 /* COMMENT_NODE */).forEach(c => c.remove());
+
+    // <o:p> is matched by tag name — escaped selectors like `o\:p` are not
+    // supported by every DOM implementation
+    Array.from(container.querySelectorAll('*')).forEach(el => {
+      if (el.tagName.toLowerCase() !== 'o:p') return;
+      if (el.textContent.trim()) {
+        el.replaceWith(...el.childNodes);
+      } else {
+        el.remove();
+      }
+    });
+
+    Array.from(container.querySelectorAll('*')).forEach(el => {
+      if (el.tagName?.includes(':') && el.parentNode) {
+        el.replaceWith(...el.childNodes);
+      }
+    });
+
+    // Remove Word Online EOP (end-of-paragraph) spans
+    container.querySelectorAll('span').forEach(span => {
+      const cls = span.getAttribute('class') || '';
+      if (/\bEOP\b/.test(cls) && span.parentNode) span.remove();
+    });
+
+    // Unwrap spans that carry no visual styles (MSO noise spans and Word Online
+    // TextRun spans), except those with a kept class such as list-marker
+    const CLASSES = new Set(this.options.allowedClasses);
+    container.querySelectorAll('span').forEach(span => {
+      const kept = (span.getAttribute('class') || '').split(/\s+/).some(c => CLASSES.has(c));
+      if (!kept && this.hasOnlyNoisyStyles(span) && span.parentNode) {
+        span.replaceWith(...span.childNodes);
+      }
+    });
+
+    // Unwrap <p> inside <li> and table cells — Word Online wraps item text in <p>
+    container.querySelectorAll('li, td, th').forEach(cell => {
+      const doc = cell.ownerDocument;
+      const paragraphs = Array.from(cell.children).filter(el => el.tagName.toUpperCase() === 'P');
+      if (!paragraphs.length) return;
+      paragraphs.forEach((p, idx) => {
+        const frag = doc.createDocumentFragment();
+        if (idx > 0) frag.appendChild(doc.createElement('br'));
+        while (p.firstChild) frag.appendChild(p.firstChild);
+        p.parentNode.insertBefore(frag, p);
+        p.parentNode.removeChild(p);
+      });
+    });
+
+    container.querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src') || '';
+      if (!/^(https?:|data:|blob:)/.test(src)) {
+        img.remove();
+      }
+    });
+
+    container.querySelectorAll('br[style]').forEach(br => {
+      if (/mso-/i.test(br.getAttribute('style') || '')) {
+        br.removeAttribute('style');
+      }
+    });
+  }
+
+  hasOnlyNoisyStyles(span) {
+    const style = span.getAttribute('style') || '';
+    if (!style.trim()) return true;
+    // text-align is block-level and means nothing on a span
+    const visual = new Set(this.options.keepStyles);
+    visual.delete('text-align');
+    return style.split(';').map(p => p.trim()).filter(Boolean).every(p => {
+      const colon = p.indexOf(':');
+      return colon === -1 || !visual.has(p.slice(0, colon).trim().toLowerCase());
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Style and attribute cleaning
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Normalizes verbose border longhand properties on table cells into a
+   * single border shorthand, and strips border-image noise.
+   *
+   * Word Online emits longhands:
+   *   border-width:1px; border-style:solid;
+   *   border-color:rgb(170,170,170) rgb(0,0,0) rgb(0,0,0) rgb(170,170,170);
+   *   border-image:initial;
+   * Result: border: 1px solid rgb(170, 170, 170)
+   *
+   * Excel class borders (.5pt solid black) are normalized: .5pt → 1px
+   */
+  normalizeBorders(container) {
+    container.querySelectorAll('td, th').forEach(el => {
+      const style = el.getAttribute('style') || '';
+      if (!style) return;
+
+      const decls = {};
+      style.split(';').forEach(decl => {
+        const colon = decl.indexOf(':');
+        if (colon === -1) return;
+        const prop = decl.slice(0, colon).trim().toLowerCase();
+        if (prop) decls[prop] = decl.slice(colon + 1).trim();
+      });
+
+      if ('border-width' in decls && 'border-style' in decls) {
+        // Verbose longhand form (Word Online) — collapse to shorthand
+        const width = this._firstCssValue(decls['border-width'] || '1px');
+        const borderStyle = this._firstCssValue(decls['border-style'] || 'solid');
+        const color = 'border-color' in decls ? this._firstCssValue(decls['border-color']) : '';
+
+        // Remove all border longhand and border-image properties
+        const kept = {};
+        Object.keys(decls).forEach(p => {
+          if (/^border-(width|style|color|image|top|right|bottom|left|radius)/.test(p)) return;
+          kept[p] = decls[p];
+        });
+
+        if (borderStyle !== 'none' && borderStyle !== 'hidden') {
+          kept.border = width + ' ' + borderStyle + (color ? ' ' + color : '');
+        }
+
+        const newStyle = Object.entries(kept).map(([p, v]) => p + ': ' + v).join('; ');
+        if (newStyle) el.setAttribute('style', newStyle);
+        else el.removeAttribute('style');
+      } else {
+        // No verbose longhands — strip border-image noise and normalize .5pt (Excel)
+        let changed = false;
+        const cleaned = style.split(';').map(decl => {
+          const colon = decl.indexOf(':');
+          if (colon === -1) return decl;
+          const prop = decl.slice(0, colon).trim().toLowerCase();
+          if (prop === 'border-image') { changed = true; return null; }
+          if (prop === 'border') {
+            const normalized = decl.replace(/:\s*\.5pt\s/, ': 1px ');
+            if (normalized !== decl) { changed = true; return normalized; }
+          }
+          return decl;
+        }).filter(d => d !== null).join(';');
+        if (changed) {
+          if (cleaned.trim()) el.setAttribute('style', cleaned);
+          else el.removeAttribute('style');
+        }
+      }
+    });
+  }
+
+  /**
+   * Returns the first space-separated token from a CSS multi-value string,
+   * respecting values that contain spaces inside parentheses (e.g. rgb()).
+   */
+  _firstCssValue(valueStr) {
+    let depth = 0;
+    let current = '';
+    for (const c of valueStr) {
+      if (c === '(') { depth++; current += c; }
+      else if (c === ')') { depth--; current += c; }
+      else if (c === ' ' && depth === 0) {
+        if (current.trim()) return current.trim();
+      } else {
+        current += c;
+      }
+    }
+    return current.trim() || valueStr.trim();
+  }
+
+  cleanStyles(container) {
+    const KEEP = new Set(this.options.keepStyles);
+    // Border properties kept only on table-related elements
+    const KEEP_ON_TABLE = new Set(this.options.tableStyles);
+    const TABLE_TAGS = new Set(['TABLE', 'TD', 'TH', 'TR']);
+    // font-size on structural table containers is noise (Word/Excel set it as a
+    // stylesheet default, not as meaningful content formatting)
+    const NO_FONT_SIZE = new Set(['TABLE', 'TR']);
+    const INDENT = { summernote: /^\d+px$/, margin: /^\d+em$/ }[this.options.indentation];
+    const DEFAULTS = {};
+    Object.entries(this.options.defaultValues).forEach(([prop, values]) => {
+      DEFAULTS[prop] = new Set(values.map(v => v.toLowerCase()));
+    });
+
     container.querySelectorAll('[style]').forEach(el => {
+      const tag = el.tagName.toUpperCase();
+      const isTableEl = TABLE_TAGS.has(tag);
+
       const cleaned = (el.getAttribute('style') || '')
         .split(';')
         .map(p => p.trim())
@@ -587,9 +2663,14 @@ export default class WordCleaner {
           const colon = p.indexOf(':');
           if (colon === -1) return false;
           const prop = p.slice(0, colon).trim().toLowerCase();
-          if (!KEEP.has(prop)) return false;
           const value = p.slice(colon + 1).trim().toLowerCase()
             .replace(/\s*!important\s*$/, '');
+          // Paragraph indents as written by convertIndentation
+          if (prop === 'margin-left' && tag === 'P' && INDENT) return INDENT.test(value);
+          if (prop === 'text-indent' && tag === 'P' && INDENT) return INDENT.test(value.replace(/^-/, ''));
+          // font-size on structural table elements is always noise
+          if (prop === 'font-size' && NO_FONT_SIZE.has(tag)) return false;
+          if (!KEEP.has(prop) && !(isTableEl && KEEP_ON_TABLE.has(prop))) return false;
           return !DEFAULTS[prop]?.has(value);
         })
         .join('; ');
@@ -603,21 +2684,26 @@ export default class WordCleaner {
   }
 
   cleanAttributes(container) {
-    const PRESERVE_ON = {
-      A:   new Set(['href', 'target', 'title', 'rel']),
-      IMG: new Set(['src', 'alt', 'width', 'height']),
-      TD:  new Set(['colspan', 'rowspan']),
-      TH:  new Set(['colspan', 'rowspan', 'scope']),
-      OL:  new Set(['start', 'type']),
-    };
+    const PRESERVE_ON = {};
+    Object.entries(this.options.allowedAttributes).forEach(([tag, attrs]) => {
+      PRESERVE_ON[tag] = new Set(attrs.map(a => a.toLowerCase()));
+    });
     // style is always kept — it has already been cleaned by cleanStyles
     const ALWAYS_KEEP = new Set(['style']);
+    const CLASSES = new Set(this.options.allowedClasses);
 
     container.querySelectorAll('*').forEach(el => {
       const allowed = PRESERVE_ON[el.tagName.toUpperCase()] || new Set();
+      // Generated markup such as note ids does not depend on the whitelist;
+      // the records themselves stay until the end of _run
+      const kept = this._generatedNames(el, 'data-pfw-keep');
+      ['data-pfw-generated', 'data-pfw-keep'].forEach(name => kept.add(name));
       Array.from(el.attributes).forEach(attr => {
         const name = attr.name.toLowerCase();
-        if (!ALWAYS_KEEP.has(name) && !allowed.has(name)) el.removeAttribute(attr.name);
+        if (ALWAYS_KEEP.has(name) || allowed.has(name) || kept.has(name)) return;
+        const classes = name === 'class' ? attr.value.split(/\s+/).filter(c => CLASSES.has(c)) : [];
+        if (classes.length) el.setAttribute('class', classes.join(' '));
+        else el.removeAttribute(attr.name);
       });
     });
   }
@@ -647,6 +2733,19 @@ export default class WordCleaner {
     });
   }
 
+  /**
+   * Write a style object (as returned by _parseStyleStr) back to an element,
+   * removing the attribute when no declarations are left.
+   */
+  _setStyle(el, style) {
+    const value = Object.entries(style).map(([k, v]) => k + ': ' + v).join('; ');
+    if (value) {
+      el.setAttribute('style', value);
+    } else {
+      el.removeAttribute('style');
+    }
+  }
+
   _parseStyleStr(styleStr) {
     const result = {};
     (styleStr || '').split(';').forEach(decl => {
@@ -701,13 +2800,28 @@ export default class WordCleaner {
   }
 
   replaceNbsp(container) {
-    const walker = container.ownerDocument.createTreeWalker(container, 4 /* NodeFilter.SHOW_TEXT */);
-    let node;
-    while ((node = walker.nextNode())) {
+    this._collectNodes(container, 3 /* TEXT_NODE */).forEach(node => {
       if (node.nodeValue.includes('\u00a0')) {
         node.nodeValue = node.nodeValue.replace(/\u00a0/g, ' ');
       }
-    }
+    });
+  }
+
+  /**
+   * Collect all descendants of `root` with the given nodeType, in document
+   * order. Used instead of TreeWalker, which not every DOM implementation
+   * provides (or provides with working NodeFilter masks).
+   */
+  _collectNodes(root, nodeType) {
+    const result = [];
+    const visit = node => {
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === nodeType) result.push(child);
+        visit(child);
+      }
+    };
+    visit(root);
+    return result;
   }
 
   removeEmptyBlocks(container) {
@@ -716,10 +2830,122 @@ export default class WordCleaner {
       changed = false;
       container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, span').forEach(el => {
         if (!el.textContent.trim() && !el.querySelector('img, br')) {
-          el.remove();
-          changed = true;
+          if (el.tagName.toUpperCase() === 'P') {
+            // Preserve empty paragraphs as visual spacers — Word uses blank
+            // paragraphs for spacing. Convert to <p><br></p> which is
+            // Summernote's native empty-paragraph representation and survives
+            // insertion without being filtered out.
+            el.innerHTML = '<br>';
+          } else {
+            el.remove();
+            changed = true;
+          }
         }
       });
     }
   }
+
+  // ---------------------------------------------------------------------------
+  // Paste modes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Re-format cleaned HTML for one of the PASTE_MODES, like Word's paste
+   * options:
+   *   'keep'  — unchanged (keep source formatting)
+   *   'merge' — structure only: headings, lists, tables, links, images and
+   *             bold/italic/underline/strikethrough; all inline styles dropped
+   *   'text'  — text only, one paragraph per line (or <br>-separated lines
+   *             with `inline: true`, for fragments pasted inside a paragraph)
+   */
+  applyPasteMode(html, mode, { inline = false } = {}) {
+    if (!WordCleaner.PASTE_MODES.includes(mode)) {
+      throw new Error(`[paste-from-word] unknown paste mode "${mode}"`);
+    }
+    if (mode === 'keep') return html;
+
+    const doc = this.parseDocument(`<div id="__pfword__">${html}</div>`);
+    const container = doc.getElementById('__pfword__');
+    if (mode === 'merge') {
+      this._mergeFormatting(container);
+      return container.innerHTML;
+    }
+    const lines = this._textLines(container);
+    if (inline) {
+      container.textContent = '';
+      lines.forEach((line, i) => {
+        if (i > 0) container.appendChild(doc.createElement('br'));
+        container.appendChild(doc.createTextNode(line));
+      });
+      return container.innerHTML;
+    }
+    return lines.map(line => {
+      const p = doc.createElement('p');
+      p.textContent = line;
+      return p.outerHTML;
+    }).join('');
+  }
+
+  /**
+   * Replace inline styles with the equivalent semantic tags and drop them.
+   * Headings get no bold tag — they are bold already.
+   */
+  _mergeFormatting(container) {
+    const doc = container.ownerDocument;
+    Array.from(container.querySelectorAll('[style]')).reverse().forEach(el => {
+      const style = this._parseStyleStr(el.getAttribute('style'));
+      const decoration = (style['text-decoration'] || '') + ' ' + (style['text-decoration-line'] || '');
+      const tags = [];
+      if (/^(bold|bolder|[6-9]00)$/.test(style['font-weight'] || '') && !el.closest('h1, h2, h3, h4, h5, h6')) tags.push('b');
+      if (style['font-style'] === 'italic') tags.push('i');
+      if (decoration.includes('underline')) tags.push('u');
+      if (decoration.includes('line-through')) tags.push('s');
+      if (style['vertical-align'] === 'super') tags.push('sup');
+      if (style['vertical-align'] === 'sub') tags.push('sub');
+      tags.forEach(tag => {
+        const wrapper = doc.createElement(tag);
+        while (el.firstChild) wrapper.appendChild(el.firstChild);
+        el.appendChild(wrapper);
+      });
+      el.removeAttribute('style');
+    });
+    this.unwrapEmptySpans(container);
+  }
+
+  /**
+   * Text of the container as lines: one per block, list items prefixed with
+   * their bullet or number (unless they carry a legal clause number already),
+   * table cells separated by spaces.
+   */
+  _textLines(container) {
+    const doc = container.ownerDocument;
+    this._collectNodes(container, 3 /* TEXT_NODE */).forEach(node => {
+      node.nodeValue = node.nodeValue.replace(/\s+/g, ' ');
+    });
+    container.querySelectorAll('br').forEach(br => br.replaceWith(doc.createTextNode('\n')));
+    // Task-list checkboxes become ☐/☑ in place of the bullet
+    container.querySelectorAll('input').forEach(input => {
+      input.replaceWith(doc.createTextNode(input.hasAttribute('checked') ? '\u2611' : '\u2610'));
+    });
+    container.querySelectorAll('li').forEach(li => {
+      const list = li.parentNode;
+      if (list.getAttribute('class') === 'task-list') return;
+      if (Array.from(li.children).some(el => el.classList.contains('list-marker'))) return;
+      const start = parseInt(list.getAttribute('start') || '1', 10);
+      const marker = list.tagName.toUpperCase() === 'OL'
+        ? `${start + Array.from(list.children).indexOf(li)}. `
+        : '• ';
+      li.insertBefore(doc.createTextNode(marker), li.firstChild);
+    });
+    container.querySelectorAll('td, th').forEach(cell => cell.appendChild(doc.createTextNode(' ')));
+    container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, ul, ol, tr, table, blockquote, pre').forEach(el => {
+      el.parentNode.insertBefore(doc.createTextNode('\n'), el);
+      el.appendChild(doc.createTextNode('\n'));
+    });
+    return container.textContent.split('\n').map(line => line.replace(/ +/g, ' ').trim()).filter(Boolean);
+  }
 }
+
+// Script tags: summernote-ext-paste-from-word.js loads this module and picks
+// the class up from here
+if (typeof window !== 'undefined' && !window.WordCleaner) window.WordCleaner = WordCleaner;
@@ -1,46 +1,162 @@
 (function(factory) {
+  // This file's URL, to load WordCleaner and DocxConverter from next to it
+  var scriptSrc = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
   if (typeof define === 'function' && define.amd) {
-    define(['jquery'], factory);
+    define(['jquery'], function($) { return factory($, window.WordCleaner, window.DocxConverter, scriptSrc); });
   } else if (typeof module === 'object' && module.exports) {
-    module.exports = factory(require('jquery'));
+    module.exports = factory(
+      require('jquery'),
+      require('./src/js/plugin/paste-from-word').default,
+      require('./src/js/plugin/docx-converter').default,
+      null
+    );
   } else {
-    factory(window.jQuery);
+    factory(window.jQuery, window.WordCleaner, window.DocxConverter, scriptSrc);
   }
-}(function($) {
+}(function($, WordCleaner, DocxConverter, scriptSrc) {
   /**
    * Copyright (c) 2026 HIS eG - Tim Wahrendorff
    * Licensed under the MIT License (http://opensource.org/licenses/MIT)
-   * 
+   *
    * paste-from-word plugin for Summernote
    *
    * Detects HTML pasted from Microsoft Word (desktop and Word Online) and
    * converts it to clean HTML, preserving visual formatting while removing
    * MSO-specific and Word Online-specific markup noise.
    *
+   * All detection and cleaning is done by the standalone WordCleaner class
+   * (src/js/plugin/paste-from-word.js); this file only wires it into the
+   * editor's paste handling.
+   *
    * Usage:
    *   Include this file after summernote, then initialize normally:
    *   $('.editor').summernote({ ... });
+   *
+   * Cleaning rules can be overridden per editor:
+   *   $('.editor').summernote({ pasteFromWord: { keepStyles: [...] } });
+   *
+   * Embedded images can be uploaded instead of being stored as data URIs:
+   *   $('.editor').summernote({ pasteFromWord: { uploadImage: function(image) { ... } } });
+   *
+   * Each cleaned paste triggers summernote.pfw.detected, summernote.pfw.cleaned
+   * and (unless a custom onPaste callback inserts it) summernote.pfw.inserted,
+   * or the matching onPfwDetected/onPfwCleaned/onPfwInserted callbacks.
+   *
+   * Pastes are only cleaned when WordCleaner#detectSource() is confident
+   * enough; tune this with { pasteFromWord: { detectionThreshold: 0.8 } }.
+   *
+   * After a paste, a popover offers to switch the pasted fragment between
+   * "Keep source formatting", "Merge formatting" and "Text only"; disable it
+   * with { pasteFromWord: { pasteOptions: false } }.
+   *
+   * Word .docx files can be imported with the 'importDocx' toolbar button or
+   * by dropping them onto the editor (requires DocxConverter).
    */
+  $.extend(true, $.summernote.lang, {
+    'en-US': {
+      pasteFromWord: {
+        importDocx: 'Import Word document',
+        keepFormatting: 'Keep source formatting',
+        mergeFormatting: 'Merge formatting',
+        textOnly: 'Text only',
+      },
+    },
+  });
+
+  // Bundlers pass the classes in; others may register them later
+  function lookup(name, local) {
+    return local || $.summernote[name] || window[name];
+  }
+
+  // Script tags and AMD: the classes are ES modules that register
+  // window.WordCleaner and window.DocxConverter. Unless they are there
+  // already, load them with a module script from next to this file
+  // (docx-converter.js imports paste-from-word.js). Editors created
+  // meanwhile start cleaning once it has run.
+  var modulesLoaded = null;
+  if (scriptSrc && !lookup('WordCleaner', WordCleaner)) {
+    modulesLoaded = new Promise(function(resolve) {
+      var script = document.createElement('script');
+      script.type = 'module';
+      script.src = new URL('src/js/plugin/docx-converter.js', scriptSrc).href;
+      script.onload = script.onerror = function() { resolve(); };
+      document.head.appendChild(script);
+    });
+  }
+
   $.extend($.summernote.plugins, {
     'paste-from-word': function(context) {
       var self = this;
       var $editable = context.layoutInfo.editable;
+      var Cleaner = null;
+      var Converter = null;
+      var ui = $.summernote.ui;
+      var lang = context.options.langInfo.pasteFromWord || $.summernote.lang['en-US'].pasteFromWord;
+      var options = context.options.pasteFromWord || {};
+      // Minimum detectSource() confidence for a paste to be cleaned
+      var threshold = options.detectionThreshold != null ? options.detectionThreshold : 0.5;
+
+      function createEngine() {
+        Cleaner = lookup('WordCleaner', WordCleaner);
+        Converter = lookup('DocxConverter', DocxConverter);
+        self.cleaner = Cleaner ? new Cleaner(context.options.pasteFromWord) : null;
+        self.converter = Cleaner && Converter ? new Converter({ cleaner: self.cleaner }) : null;
+      }
+      createEngine();
+
+      // Runs fn with the cleaner, once the modules have loaded if need be
+      function withCleaner(fn) {
+        if (self.cleaner || !modulesLoaded) return fn(self.cleaner);
+        modulesLoaded.then(function() { if (self.cleaner) fn(self.cleaner); });
+      }
+
+      context.memo('button.importDocx', function() {
+        return ui.button({
+          contents: '<i class="note-icon-doc"></i>',
+          tooltip: lang.importDocx,
+          click: function() {
+            self.openFileDialog();
+          },
+        }).render();
+      });
 
       // -----------------------------------------------------------------------
       // Lifecycle
       // -----------------------------------------------------------------------
 
+      this.shouldInitialize = function() {
+        if (!self.cleaner && !modulesLoaded) {
+          console.log('[paste-from-word] WordCleaner is not loaded, plugin disabled');
+        }
+        return !!self.cleaner || !!modulesLoaded;
+      };
+
       this.initialize = function() {
+        if (!self.cleaner) {
+          modulesLoaded.then(function() {
+            createEngine();
+            if (!self.cleaner) console.log('[paste-from-word] WordCleaner could not be loaded, plugin disabled');
+          });
+        }
+
         self._pasteHandler = function(event) {
           var cd = event.clipboardData;
-          if (!cd) return;
+          // Pastes before the modules have loaded are left alone
+          if (!cd || !self.cleaner) return;
           var html = cd.getData('text/html');
-          if (!html || !self._isWordContent(html)) return;
-          console.log('[paste-from-word] Word content detected, cleaning...', html);
-          var cleaned = self._cleanWordHtml(html);
+          var detection = html ? self.cleaner.detectSource(html) : null;
+          if (!detection || detection.confidence < threshold) return;
+          var info = $.extend({ originalHtml: html }, detection);
+          context.triggerEvent('pfw.detected', info);
+
+          var clipboard = self.getClipboardData(cd, html);
+          var result = self.cleaner.cleanWithReport(html, clipboard);
+          revokeUnused(clipboard.images, result.html);
+          var cleaned = self.uploadImages(result.html);
+          info = $.extend({}, info, { cleanedHtml: cleaned, time: result.time, report: result.report });
+          context.triggerEvent('pfw.cleaned', info);
           event.preventDefault();
           if (context.options.callbacks && context.options.callbacks.onPaste) {
-            console.log('custom onPaste callback is registered ...');
             // A custom onPaste callback is registered — store the cleaned HTML
             // on the native event so the callback can retrieve it via
             //   (e.originalEvent || e)._pfwCleanedHtml
@@ -50,795 +166,342 @@
           } else {
             // No custom paste handler — insert directly and suppress other handlers.
             event.stopImmediatePropagation();
-            context.invoke('editor.pasteHTML', cleaned);
+            if (options.pasteOptions === false) {
+              context.invoke('editor.pasteHTML', cleaned);
+            } else {
+              self.showPasteOptions(self.insertFragment(cleaned), cleaned);
+            }
+            context.triggerEvent('pfw.inserted', info);
           }
         };
         $editable[0].addEventListener('paste', self._pasteHandler, true);
-      };
 
-      this.destroy = function() {
-        $editable[0].removeEventListener('paste', self._pasteHandler, true);
-      };
-
-      // -----------------------------------------------------------------------
-      // Detection
-      // -----------------------------------------------------------------------
-
-      /**
-       * Returns true if the HTML string appears to originate from Microsoft Word
-       * (desktop or Word Online).
-       */
-      this._isWordContent = function(html) {
-        return (
-          // Desktop Word (MSO)
-          /xmlns:o="urn:schemas-microsoft-com/.test(html) ||
-          /ProgId=Word\.Document/.test(html) ||
-          /class="?Mso[A-Z]/.test(html) ||
-          /<o:p[\s>]/.test(html) ||
-          /mso-list\s*:/.test(html) ||
-          // Word Online — ListContainerWrapper format (individual items pasted)
-          /class="[^"]*ListContainerWrapper/.test(html) ||
-          /data-listid=/.test(html) ||
-          // Word Online — full document paste (native ul/ol with wrapper divs)
-          /color:\s*windowtext/i.test(html) ||
-          /border-bottom:\s*1px solid transparent/.test(html) ||
-          // Excel (desktop and Online)
-          self._isExcelContent(html)
-        );
-      };
-
-      /**
-       * Returns true if the HTML string appears to originate from Microsoft Excel
-       * (desktop or Excel Online).
-       */
-      this._isExcelContent = function(html) {
-        return (
-          /content=["']?Excel\.Sheet/i.test(html) ||
-          /mso-displayed-decimal-separator/.test(html) ||
-          /Generator["']?\s+content=["']?Microsoft\s+Excel/i.test(html)
-        );
-      };
-
-      // -----------------------------------------------------------------------
-      // Main pipeline
-      // -----------------------------------------------------------------------
-
-      this._cleanWordHtml = function(html) {
-        html = self._removeConditionalComments(html);
-        if (self._isExcelContent(html)) html = self._preprocessExcel(html);
-        html = self._extractBodyContent(html);
-
-        var doc = new DOMParser().parseFromString(
-          '<div id="__pfword__">' + html + '</div>',
-          'text/html'
-        );
-        var container = doc.getElementById('__pfword__');
-        if (!container) return html;
-
-        self._convertHeadings(container);
-        self._convertWordOnlineLists(container);
-        self._convertLists(container);
-        self._unwrapDivs(container);
-        self._mergeSiblingLists(container);
-        self._removeNoiseNodes(container);
-        self._normalizeBorders(container);
-        self._cleanStyles(container);
-        self._cleanAttributes(container);
-        self._cleanHeadingSpans(container);
-        self._deduplicateInheritedStyles(container);
-        self._unwrapEmptySpans(container);
-        self._replaceNbsp(container);
-        self._unwrapWhitespaceSpans(container);
-        self._removeEmptyBlocks(container);
-
-        return container.innerHTML;
-      };
-
-      // -----------------------------------------------------------------------
-      // String pre-processing
-      // -----------------------------------------------------------------------
+        // Capture on the whole editor so drops on Summernote's dropzone overlay
+        // are seen before its own image-upload handler.
+        self._dropHandler = function(event) {
+          var files = event.dataTransfer && event.dataTransfer.files;
+          var file = files && files.length === 1 ? files[0] : null;
+          if (!self.converter || !Converter.isDocxFile(file)) return;
+          event.preventDefault();
+          event.stopImmediatePropagation();
+          context.layoutInfo.editor.removeClass('dragover');
+          self.importDocx(file);
+        };
+        context.layoutInfo.editor[0].addEventListener('drop', self._dropHandler, true);
 
-      this._removeConditionalComments = function(html) {
-        html = html.replace(/<!--\[if !support[^\]]*\]>[\s\S]*?<!\[endif\]-->/gi, '');
-        html = html.replace(/<!--\[if[^\]]*\]>/gi, '');
-        html = html.replace(/<!\[endif\]-->/gi, '');
-        html = html.replace(/<\?xml[^?]*\?>/gi, '');
-        return html;
+        self.$popover = ui.popover({
+          className: 'note-pfw-popover',
+          callback: function($node) {
+            var $content = $node.find('.popover-content,.note-popover-content');
+            ui.buttonGroup([
+              modeButton('keep', lang.keepFormatting),
+              modeButton('merge', lang.mergeFormatting),
+              modeButton('text', lang.textOnly),
+            ]).render().appendTo($content);
+          },
+        }).render().appendTo(context.options.container);
       };
 
-      this._extractBodyContent = function(html) {
-        var bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-        return bodyMatch ? bodyMatch[1] : html;
+      this.events = {
+        'summernote.keydown summernote.mousedown summernote.scroll summernote.disable summernote.codeview.toggled': function() {
+          self.hidePasteOptions();
+        },
       };
 
       /**
-       * Pre-process Excel HTML before the body is extracted.
-       * Excel stores visual styles in a <style> block with named classes
-       * (e.g. `.xl66 { font-weight: 700 }`). This must be baked into inline
-       * styles before the head is discarded, and <col>/<colgroup> elements
-       * (column widths) are removed as they are not useful in rich-text context.
+       * Collect the data WordCleaner needs to recover images that Word
+       * references by local file path: the RTF flavor and any pasted image
+       * files (as blob: URLs). URLs the cleaned HTML does not use are revoked
+       * right after cleaning, uploaded ones once their upload has finished.
        */
-      this._preprocessExcel = function(html) {
-        var doc = new DOMParser().parseFromString(html, 'text/html');
-        self._applyExcelClassStyles(doc);
-        doc.querySelectorAll('col, colgroup').forEach(function(el) { el.parentNode.removeChild(el); });
-        return doc.documentElement.outerHTML;
+      this.getClipboardData = function(cd, html) {
+        if (!self.cleaner.hasLocalImages(html)) return {};
+        var rtf = cd.getData('text/rtf');
+        // Pictures in the RTF take precedence — don't create unused blob: URLs
+        if (/\\pict/.test(rtf)) return { rtf: rtf };
+        var images = [];
+        var files = cd.files && cd.files.length ? cd.files : [];
+        if (!files.length && cd.items) {
+          files = $.map(cd.items, function(item) {
+            return item.kind === 'file' ? item.getAsFile() : null;
+          });
+        }
+        $.each(files, function(i, file) {
+          if (file && /^image\//.test(file.type)) images.push(URL.createObjectURL(file));
+        });
+        return { rtf: rtf, images: images };
       };
 
-      /**
-       * Parse class rules from <style> blocks and apply matching visual properties
-       * as inline styles on all matching elements in the document.
-       * Only class selectors (`.xl66`) are processed; element rules are ignored.
-       * Existing inline styles are preserved and take precedence (appended after).
-       */
-      this._applyExcelClassStyles = function(doc) {
-        var KEEP_PROPS = ['color', 'background-color', 'font-weight', 'font-style', 'text-decoration', 'border'];
-
-        // Collect all class rules from style blocks
-        var classRules = {};
-        doc.querySelectorAll('style').forEach(function(styleEl) {
-          var text = styleEl.textContent || '';
-          var ruleRe = /\.([a-zA-Z][\w-]*)\s*\{([^}]*)\}/g;
-          var m;
-          while ((m = ruleRe.exec(text)) !== null) {
-            var className = m[1];
-            var body = m[2];
-            var declarations = [];
-            body.split(';').forEach(function(decl) {
-              var colon = decl.indexOf(':');
-              if (colon === -1) return;
-              var prop = decl.slice(0, colon).trim().toLowerCase();
-              var value = decl.slice(colon + 1).trim();
-              if (!value) return;
-              // Normalize `background` shorthand to `background-color` (Excel uses solid colors)
-              if (prop === 'background') prop = 'background-color';
-              if (KEEP_PROPS.indexOf(prop) !== -1) {
-                declarations.push(prop + ': ' + value);
-              }
-            });
-            if (declarations.length) {
-              classRules[className] = declarations;
-            }
-          }
+      function revokeUnused(urls, html) {
+        $.each(urls || [], function(i, url) {
+          if (html.indexOf(url) === -1) URL.revokeObjectURL(url);
         });
+      }
 
-        if (!Object.keys(classRules).length) return;
-
-        // Apply matched class rules as inline styles
-        doc.querySelectorAll('[class]').forEach(function(el) {
-          var classes = (el.getAttribute('class') || '').split(/\s+/);
-          var toApply = [];
-          classes.forEach(function(cls) {
-            if (classRules[cls]) {
-              classRules[cls].forEach(function(decl) { toApply.push(decl); });
-            }
-          });
-          if (!toApply.length) return;
-          var existing = el.getAttribute('style') || '';
-          var combined = toApply.join('; ') + (existing ? '; ' + existing : '');
-          el.setAttribute('style', combined);
-        });
+      this.destroy = function() {
+        self.$popover.remove();
+        self.$popover = null;
+        $editable[0].removeEventListener('paste', self._pasteHandler, true);
+        context.layoutInfo.editor[0].removeEventListener('drop', self._dropHandler, true);
       };
 
       // -----------------------------------------------------------------------
-      // DOM transformations
+      // Paste options
+      //
+      //   $('.editor').summernote('paste-from-word.applyPasteMode', 'text');
       // -----------------------------------------------------------------------
 
-      this._convertHeadings = function(container) {
-        var headingMap = {
-          'MsoHeading1': 'h1', 'MsoHeading2': 'h2', 'MsoHeading3': 'h3',
-          'MsoHeading4': 'h4', 'MsoHeading5': 'h5', 'MsoHeading6': 'h6',
-        };
-
-        container.querySelectorAll('p').forEach(function(p) {
-          var headingTag = null;
-
-          // 1. Word Online standard headings: role="heading" + aria-level (reliable W3C markers)
-          if (p.getAttribute('role') === 'heading') {
-            var ariaLevel = parseInt(p.getAttribute('aria-level') || '0', 10);
-            if (ariaLevel >= 1 && ariaLevel <= 6) {
-              headingTag = 'h' + ariaLevel;
-            }
-          }
-
-          // 2. Word Online custom heading styles: data-ccp-parastyle="heading N"
-          //    Built-in headings also carry this, but those are already caught above.
-          //    For N <= 6 the number maps directly; for custom styles (N > 6) infer
-          //    the visual level from the paragraph's font size.
-          if (!headingTag) {
-            var childSpan = p.querySelector('span[data-ccp-parastyle]');
-            if (childSpan) {
-              var ccpStyle = (childSpan.getAttribute('data-ccp-parastyle') || '').toLowerCase().trim();
-              var ccpMatch = ccpStyle.match(/^heading\s+(\d+)$/);
-              if (ccpMatch) {
-                var n = parseInt(ccpMatch[1], 10);
-                if (n >= 1 && n <= 6) {
-                  headingTag = 'h' + n;
-                } else {
-                  headingTag = self._inferHeadingTagFromFontSize(p);
-                }
-              }
-            }
-          }
-
-          // 3. Fallback: MSO class names (desktop Word)
-          if (!headingTag) {
-            var cls = p.className || '';
-            for (var msoClass in headingMap) {
-              if (cls.indexOf(msoClass) !== -1) {
-                headingTag = headingMap[msoClass];
-                break;
-              }
-            }
-          }
-
-          // Convert entire p element to heading if recognized
-          if (headingTag) {
-            var heading = container.ownerDocument.createElement(headingTag);
-            heading.innerHTML = p.innerHTML;
-            p.replaceWith(heading);
-          }
+      function modeButton(mode, label) {
+        return ui.button({
+          className: 'note-btn-pfw-' + mode,
+          contents: label,
+          click: function(event) {
+            event.preventDefault();
+            self.applyPasteMode(mode);
+          },
         });
-      };
+      }
 
       /**
-       * Estimate a heading tag (h1–h5) from the largest font-size found in
-       * inline styles within the paragraph. Used for custom Word heading styles
-       * that have no aria-level attribute.
+       * Paste HTML at the cursor like editor.pasteHTML, returning the inserted
+       * top-level nodes so the fragment can be replaced later.
        */
-      this._inferHeadingTagFromFontSize = function(p) {
-        var maxPt = 0;
-        var check = function(style) {
-          var m = (style || '').match(/font-size:\s*([\d.]+)pt/i);
-          if (m) { var pt = parseFloat(m[1]); if (pt > maxPt) maxPt = pt; }
-        };
-        check(p.getAttribute('style'));
-        p.querySelectorAll('span[style]').forEach(function(s) { check(s.getAttribute('style')); });
-        if (maxPt >= 20) return 'h1';
-        if (maxPt >= 16) return 'h2';
-        if (maxPt >= 14) return 'h3';
-        if (maxPt >= 12) return 'h4';
-        return 'h5';
-      };
-
-      this._convertWordOnlineLists = function(container) {
-        var doc = container.ownerDocument;
-
-        // ListContainerWrapper divs may be grandchildren (inside outer SCXW divs).
-        // Collect every distinct parent node and process each one.
-        var seen = [];
-        var parents = [];
-        container.querySelectorAll('[class*="ListContainerWrapper"]').forEach(function(el) {
-          var p = el.parentNode;
-          if (p && seen.indexOf(p) === -1) {
-            seen.push(p);
-            parents.push(p);
-          }
-        });
-
-        parents.forEach(function(parent) {
-          var children = Array.from(parent.childNodes);
-          var i = 0;
-
-          while (i < children.length) {
-            if (!self._isWordOnlineListWrapper(children[i])) { i++; continue; }
-
-            var group = [];
-            while (i < children.length && self._isWordOnlineListWrapper(children[i])) {
-              var wrapper = children[i];
-              var listEl = wrapper.querySelector('ul, ol');
-              var li = listEl ? listEl.querySelector('li') : null;
-              if (li) {
-                group.push({
-                  el: wrapper,
-                  level: parseInt(li.getAttribute('data-aria-level') || '1', 10),
-                  isOrdered: listEl.tagName.toUpperCase() === 'OL',
-                  html: self._extractWordOnlineLiContent(li),
-                });
-              }
-              i++;
-            }
-
-            if (group.length) {
-              var listRoot = self._buildNestedList(doc, group);
-              group[0].el.parentNode.insertBefore(listRoot, group[0].el);
-              group.forEach(function(item) {
-                if (item.el.parentNode) item.el.parentNode.removeChild(item.el);
-              });
-            }
-          }
-        });
-      };
-
-      this._isWordOnlineListWrapper = function(node) {
-        if (!node || node.nodeType !== 1) return false;
-        return (node.getAttribute('class') || '').indexOf('ListContainerWrapper') !== -1;
-      };
-
-      this._extractWordOnlineLiContent = function(li) {
-        var clone = li.cloneNode(true);
-        clone.querySelectorAll('span').forEach(function(span) {
-          if (/\bEOP\b/.test(span.getAttribute('class') || '')) {
-            span.parentNode.removeChild(span);
-          }
-        });
-        clone.querySelectorAll('p').forEach(function(p) {
-          Array.from(p.childNodes).forEach(function(child) {
-            p.parentNode.insertBefore(child, p);
-          });
-          p.parentNode.removeChild(p);
-        });
-        return clone.innerHTML.trim().replace(/\u00a0$/, '').trim();
-      };
-
-      this._convertLists = function(container) {
-        var doc = container.ownerDocument;
-        var children = Array.from(container.childNodes);
-        var i = 0;
-
-        while (i < children.length) {
-          if (!self._isListParagraph(children[i])) { i++; continue; }
-
-          var items = [];
-          while (i < children.length && self._isListParagraph(children[i])) {
-            var para = children[i];
-            items.push({
-              el: para,
-              level: self._getListLevel(para),
-              isOrdered: self._isOrderedList(para),
-              html: self._extractListItemContent(para),
-            });
-            i++;
-          }
-
-          var listRoot = self._buildNestedList(doc, items);
-          items[0].el.parentNode.insertBefore(listRoot, items[0].el);
-          items.forEach(function(item) {
-            if (item.el.parentNode) item.el.parentNode.removeChild(item.el);
-          });
+      this.insertFragment = function(html) {
+        context.invoke('editor.beforeCommand');
+        var nodes = context.invoke('editor.getLastRange').pasteHTML(html);
+        if (nodes.length) {
+          context.invoke('editor.setLastRange', $.summernote.range.createFromNodeAfter(nodes[nodes.length - 1]).select());
         }
+        context.invoke('editor.afterCommand');
+        return nodes;
       };
 
-      this._isListParagraph = function(node) {
-        if (!node || node.nodeType !== 1) return false;
-        var tag = node.tagName.toUpperCase();
-        if (tag !== 'P' && tag !== 'DIV') return false;
-        var style = node.getAttribute('style') || '';
-        var cls = node.getAttribute('class') || '';
-        return /mso-list\s*:/i.test(style) || /MsoList/.test(cls);
-      };
-
-      this._getListLevel = function(para) {
-        var style = para.getAttribute('style') || '';
-        var match = style.match(/mso-list\s*:[^;]*level\s*(\d+)/i);
-        return match ? parseInt(match[1], 10) : 1;
-      };
-
-      this._isOrderedList = function(para) {
-        var cls = para.getAttribute('class') || '';
-        if (/MsoListNumber/.test(cls)) return true;
-        if (/MsoListBullet/.test(cls)) return false;
-        var ignoreSpan = para.querySelector('[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]');
-        if (ignoreSpan) {
-          var text = ignoreSpan.textContent.replace(/\u00a0/g, '').trim();
-          if (/^[\d]+[.)]/.test(text) || /^[ivxlcdmIVXLCDM]+\./i.test(text) || /^[a-zA-Z]\./.test(text)) {
-            return true;
-          }
-        }
-        return false;
+      this.showPasteOptions = function(nodes, html) {
+        if (!nodes.length) return;
+        self._fragment = { nodes: nodes, html: html, mode: 'keep' };
+        self.updatePasteOptions();
       };
 
-      this._extractListItemContent = function(para) {
-        var clone = para.cloneNode(true);
-        clone.querySelectorAll('[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]').forEach(function(s) {
-          s.parentNode.removeChild(s);
+      this.updatePasteOptions = function() {
+        var fragment = self._fragment;
+        var last = fragment.nodes[fragment.nodes.length - 1];
+        var $anchor = $(last.nodeType === 1 ? last : last.parentNode);
+        var offset = $anchor.offset();
+        var containerOffset = $(context.options.container).offset();
+        self.$popover.find('.note-btn').each(function() {
+          $(this).toggleClass('active', $(this).hasClass('note-btn-pfw-' + fragment.mode));
         });
-        return clone.innerHTML.trim();
-      };
-
-      this._buildNestedList = function(doc, items) {
-        if (!items.length) return doc.createElement('ul');
-
-        var rootTag = items[0].isOrdered ? 'ol' : 'ul';
-        var root = doc.createElement(rootTag);
-        var stack = [{ list: root, level: 1 }];
-
-        items.forEach(function(item) {
-          while (stack.length > 1 && stack[stack.length - 1].level > item.level) {
-            stack.pop();
-          }
-
-          var top = stack[stack.length - 1];
-
-          if (top.level < item.level) {
-            var lastLi = top.list.lastElementChild;
-            var nestedList = doc.createElement(item.isOrdered ? 'ol' : 'ul');
-            (lastLi || top.list).appendChild(nestedList);
-            stack.push({ list: nestedList, level: item.level });
-          }
-
-          var li = doc.createElement('li');
-          li.innerHTML = item.html;
-          stack[stack.length - 1].list.appendChild(li);
+        self.$popover.css({
+          display: 'block',
+          left: offset.left - containerOffset.left,
+          top: offset.top + $anchor.outerHeight() - containerOffset.top,
         });
-
-        return root;
       };
 
-      /**
-       * Unwrap all <div> elements — Word Online wraps content in semantically
-       * empty divs. Process deepest first.
-       */
-      this._unwrapDivs = function(container) {
-        Array.from(container.querySelectorAll('div')).reverse().forEach(function(div) {
-          if (div.parentNode) {
-            Array.from(div.childNodes).forEach(function(child) {
-              div.parentNode.insertBefore(child, div);
-            });
-            div.parentNode.removeChild(div);
-          }
-        });
+      this.hidePasteOptions = function() {
+        self._fragment = null;
+        if (self.$popover) self.$popover.hide();
       };
 
       /**
-       * Merge consecutive <ul>/<ol> siblings of the same type.
+       * Replace the just-pasted fragment with its 'keep', 'merge' or 'text'
+       * rendition (see WordCleaner#applyPasteMode) as a single undo step.
        */
-      this._mergeSiblingLists = function(container) {
-        var changed = true;
-        while (changed) {
-          changed = false;
-          container.querySelectorAll('ul + ul, ol + ol').forEach(function(list) {
-            var prev = list.previousElementSibling;
-            if (prev && prev.tagName === list.tagName) {
-              while (list.firstChild) prev.appendChild(list.firstChild);
-              list.parentNode.removeChild(list);
-              changed = true;
-            }
-          });
+      this.applyPasteMode = function(mode) {
+        var fragment = self._fragment;
+        if (!fragment || fragment.mode === mode) return;
+        var first = fragment.nodes[0];
+        var parent = first.parentNode;
+        if (!parent || !$.contains($editable[0], first)) {
+          self.hidePasteOptions();
+          return;
+        }
+        var inline = parent !== $editable[0] && !/^(DIV|LI|TD|TH|BLOCKQUOTE)$/.test(parent.nodeName);
+        var $nodes = $('<div>').html(self.cleaner.applyPasteMode(fragment.html, mode, { inline: inline })).contents();
+        restoreUploads($nodes);
+
+        context.invoke('editor.beforeCommand');
+        $nodes.insertBefore(first);
+        $(fragment.nodes).remove();
+        fragment.nodes = $nodes.toArray();
+        fragment.mode = mode;
+        if (fragment.nodes.length) {
+          context.invoke('editor.setLastRange', $.summernote.range.createFromNodeAfter(fragment.nodes[fragment.nodes.length - 1]).select());
+          context.invoke('editor.afterCommand');
+          self.updatePasteOptions();
+        } else {
+          context.invoke('editor.afterCommand');
+          self.hidePasteOptions();
         }
       };
 
       // -----------------------------------------------------------------------
-      // Noise removal
+      // .docx import
+      //
+      //   $('.editor').summernote({ toolbar: [..., ['insert', ['importDocx']]] });
+      //   $('.editor').summernote('paste-from-word.importDocx', file);
       // -----------------------------------------------------------------------
 
-      this._removeNoiseNodes = function(container) {
-        // Remove HTML comment nodes (e.g. <!--StartFragment--> / <!--EndFragment-->
-        // that Excel embeds inside table markup)
-        var walker = container.ownerDocument.createTreeWalker(container, 128 /* SHOW_COMMENT */);
-        var comments = [];
-        var commentNode;
-        while ((commentNode = walker.nextNode())) comments.push(commentNode);
-        comments.forEach(function(c) { c.parentNode.removeChild(c); });
-
-        container.querySelectorAll('o\\:p').forEach(function(el) {
-          if (el.textContent.trim()) {
-            el.replaceWith.apply(el, Array.from(el.childNodes));
-          } else {
-            el.parentNode.removeChild(el);
-          }
-        });
-
-        Array.from(container.querySelectorAll('*')).forEach(function(el) {
-          if (el.tagName && el.tagName.indexOf(':') !== -1 && el.parentNode) {
-            Array.from(el.childNodes).forEach(function(child) {
-              el.parentNode.insertBefore(child, el);
-            });
-            el.parentNode.removeChild(el);
-          }
-        });
-
-        // Remove Word Online EOP (end-of-paragraph) spans
-        container.querySelectorAll('span').forEach(function(span) {
-          var cls = span.getAttribute('class') || '';
-          if (/\bEOP\b/.test(cls) && span.parentNode) {
-            span.parentNode.removeChild(span);
-          }
-        });
-
-        // Unwrap spans carrying no visual styles
-        container.querySelectorAll('span').forEach(function(span) {
-          if (self._hasOnlyNoisyStyles(span) && span.parentNode) {
-            Array.from(span.childNodes).forEach(function(child) {
-              span.parentNode.insertBefore(child, span);
-            });
-            span.parentNode.removeChild(span);
-          }
-        });
-
-        // Unwrap <p> inside <li> and table cells
-        container.querySelectorAll('li, td, th').forEach(function(cell) {
-          var doc = cell.ownerDocument;
-          var paragraphs = Array.from(cell.querySelectorAll(':scope > p'));
-          if (!paragraphs.length) return;
-          paragraphs.forEach(function(p, idx) {
-            var frag = doc.createDocumentFragment();
-            if (idx > 0) frag.appendChild(doc.createElement('br'));
-            while (p.firstChild) frag.appendChild(p.firstChild);
-            p.parentNode.insertBefore(frag, p);
-            p.parentNode.removeChild(p);
-          });
-        });
-
-        container.querySelectorAll('img').forEach(function(img) {
-          var src = img.getAttribute('src') || '';
-          if (src.indexOf('http://') !== 0 && src.indexOf('https://') !== 0 && src.indexOf('data:') !== 0) {
-            img.parentNode.removeChild(img);
-          }
-        });
-
-        container.querySelectorAll('br[style]').forEach(function(br) {
-          if (/mso-/i.test(br.getAttribute('style') || '')) {
-            br.removeAttribute('style');
+      this.openFileDialog = function() {
+        if (!self.converter) {
+          console.log('[paste-from-word] DocxConverter is not loaded, .docx import disabled');
+          return;
+        }
+        context.invoke('editor.saveRange');
+        var $input = $('<input type="file" accept=".docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document">');
+        $input.on('change', function() {
+          if (this.files && this.files[0]) {
+            context.invoke('editor.restoreRange');
+            self.importDocx(this.files[0]);
           }
         });
+        $input.trigger('click');
       };
 
-      this._hasOnlyNoisyStyles = function(span) {
-        var style = span.getAttribute('style') || '';
-        if (!style.trim()) return true;
-        var VISUAL = /^(color|background-color|font-size|font-weight|font-style|text-decoration|vertical-align)\s*:/i;
-        return style.split(';').map(function(p) { return p.trim(); })
-          .filter(Boolean).every(function(p) { return !VISUAL.test(p); });
+      /**
+       * Convert a .docx File/Blob and insert the result at the cursor.
+       * Returns a promise resolving to the inserted HTML, or null on failure.
+       */
+      this.importDocx = function(file) {
+        return file.arrayBuffer().then(function(data) {
+          return self.converter.convert(data);
+        }).then(function(html) {
+          html = self.uploadImages(html);
+          context.invoke('editor.pasteHTML', html);
+          return html;
+        }).catch(function(error) {
+          console.log('[paste-from-word] .docx import failed', error);
+          return null;
+        });
       };
 
       // -----------------------------------------------------------------------
-      // Style and attribute cleaning
+      // Image upload
+      //
+      //   $('.editor').summernote({ pasteFromWord: {
+      //     uploadImage: function(image) { return myUpload(image.file); }  // Promise of a URL
+      //   }});
       // -----------------------------------------------------------------------
 
+      var PLACEHOLDER_SRC = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" preserveAspectRatio="none">' +
+        '<rect width="100%" height="100%" fill="#e9ecef"/></svg>'
+      );
+      var uploadCount = 0;
+      var uploadResults = {};
+      // Upload result meaning the uploader inserted the image itself
+      var HANDLED = {};
+
       /**
-       * Normalizes verbose border longhand properties on table cells into a
-       * single border shorthand, and strips border-image noise.
-       *
-       * Word Online emits longhands:
-       *   border-width:1px; border-style:solid;
-       *   border-color:rgb(170,170,170) rgb(0,0,0) rgb(0,0,0) rgb(170,170,170);
-       *   border-image:initial;
-       * Result: border: 1px solid rgb(170, 170, 170)
-       *
-       * Excel class borders (.5pt solid black) are normalized: .5pt → 1px
+       * The configured upload function: the `uploadImage` option, or else
+       * Summernote's callbacks.onImageUpload called with a one-file list.
+       * By Summernote's contract onImageUpload inserts the image itself, so
+       * unless it returns (a Promise of) a URL, the placeholder is removed.
        */
-      this._normalizeBorders = function(container) {
-        container.querySelectorAll('td, th').forEach(function(el) {
-          var style = el.getAttribute('style') || '';
-          if (!style) return;
-
-          var decls = {};
-          style.split(';').forEach(function(decl) {
-            var colon = decl.indexOf(':');
-            if (colon === -1) return;
-            var prop = decl.slice(0, colon).trim().toLowerCase();
-            var val = decl.slice(colon + 1).trim();
-            if (prop) decls[prop] = val;
+      this.getUploader = function() {
+        if (typeof options.uploadImage === 'function') return options.uploadImage;
+        var onImageUpload = context.options.callbacks && context.options.callbacks.onImageUpload;
+        if (!onImageUpload) return null;
+        return function(image) {
+          return Promise.resolve(onImageUpload.call(context.layoutInfo.note[0], [image.file])).then(function(url) {
+            return url || HANDLED;
           });
-
-          if ('border-width' in decls && 'border-style' in decls) {
-            // Verbose longhand form (Word Online) — collapse to shorthand
-            var width = self._firstCssValue(decls['border-width'] || '1px');
-            var bstyle = self._firstCssValue(decls['border-style'] || 'solid');
-            var color = 'border-color' in decls
-              ? self._firstCssValue(decls['border-color'])
-              : '';
-
-            // Remove all border longhand and border-image properties
-            var kept = {};
-            Object.keys(decls).forEach(function(p) {
-              if (/^border-(width|style|color|image|top|right|bottom|left|radius)/.test(p)) return;
-              kept[p] = decls[p];
-            });
-
-            if (bstyle !== 'none' && bstyle !== 'hidden') {
-              kept['border'] = width + ' ' + bstyle + (color ? ' ' + color : '');
-            }
-
-            var newStyle = Object.keys(kept).map(function(p) { return p + ': ' + kept[p]; }).join('; ');
-            if (newStyle) el.setAttribute('style', newStyle);
-            else el.removeAttribute('style');
-          } else {
-            // No verbose longhands — strip border-image noise and normalize .5pt (Excel)
-            var changed = false;
-            var cleaned = style.split(';').map(function(decl) {
-              var colon = decl.indexOf(':');
-              if (colon === -1) return decl;
-              var prop = decl.slice(0, colon).trim().toLowerCase();
-              if (prop === 'border-image') { changed = true; return null; }
-              if (prop === 'border') {
-                var normalized = decl.replace(/:\s*\.5pt\s/, ': 1px ');
-                if (normalized !== decl) { changed = true; return normalized; }
-              }
-              return decl;
-            }).filter(function(d) { return d !== null; }).join(';');
-            if (changed) {
-              if (cleaned.trim()) el.setAttribute('style', cleaned);
-              else el.removeAttribute('style');
-            }
-          }
-        });
+        };
       };
 
       /**
-       * Returns the first space-separated token from a CSS multi-value string,
-       * respecting values that contain spaces inside parentheses (e.g. rgb()).
+       * Replace the data: and blob: images in HTML about to be inserted with
+       * placeholders and upload them. Each placeholder is swapped for the URL
+       * its upload resolves to, and a blob: source is then revoked. If the
+       * upload fails or resolves to nothing, the original image is put back;
+       * an onImageUpload callback that inserted the image itself gets the
+       * placeholder removed.
+       *
+       * The upload function receives { src, file, alt, width, height }, where
+       * `src` is the data:/blob: URL and `file` the image as a File.
        */
-      this._firstCssValue = function(valueStr) {
-        var depth = 0;
-        var current = '';
-        for (var i = 0; i < valueStr.length; i++) {
-          var c = valueStr[i];
-          if (c === '(') { depth++; current += c; }
-          else if (c === ')') { depth--; current += c; }
-          else if (c === ' ' && depth === 0) {
-            if (current.trim()) return current.trim();
-          } else {
-            current += c;
-          }
-        }
-        return current.trim() || valueStr.trim();
-      };
-
-      // -----------------------------------------------------------------------
-
-      this._cleanStyles = function(container) {
-        var KEEP = ['color', 'background-color', 'font-size', 'font-weight',
-          'font-style', 'text-decoration', 'text-align', 'vertical-align'];
-
-        // Border properties kept only on table-related elements
-        var KEEP_ON_TABLE = ['border', 'border-collapse'];
-        var TABLE_TAGS = ['TABLE', 'TD', 'TH', 'TR'];
-        // font-size on structural table containers is noise (Word/Excel set it as a
-        // stylesheet default, not as meaningful content formatting)
-        var NO_FONT_SIZE = ['TABLE', 'TR'];
-
-        var DEFAULTS = {
-          'color': ['#000000', 'black', 'windowtext', 'inherit', 'rgb(0,0,0)', 'rgb(0, 0, 0)'],
-          'background-color': ['#ffffff', 'white', 'transparent', 'inherit',
-            'rgb(255,255,255)', 'rgb(255, 255, 255)'],
-          'font-size': ['12pt'],
-          'font-weight': ['normal', '400'],
-          'font-style': ['normal'],
-          'vertical-align': ['baseline', 'top'],
-          'text-align': ['left', 'start'],
-          'border': ['none', '0', 'initial'],
-        };
-
-        container.querySelectorAll('[style]').forEach(function(el) {
-          var tag = el.tagName.toUpperCase();
-          var isTableEl = TABLE_TAGS.indexOf(tag) !== -1;
-
-          var cleaned = (el.getAttribute('style') || '')
-            .split(';')
-            .map(function(p) { return p.trim(); })
-            .filter(function(p) {
-              if (!p) return false;
-              var colon = p.indexOf(':');
-              if (colon === -1) return false;
-              var prop = p.slice(0, colon).trim().toLowerCase();
-              // font-size on structural table elements is always noise
-              if (prop === 'font-size' && NO_FONT_SIZE.indexOf(tag) !== -1) return false;
-              var inGlobalKeep = KEEP.indexOf(prop) !== -1;
-              var inTableKeep = isTableEl && KEEP_ON_TABLE.indexOf(prop) !== -1;
-              if (!inGlobalKeep && !inTableKeep) return false;
-              var value = p.slice(colon + 1).trim().toLowerCase()
-                .replace(/\s*!important\s*$/, '');
-              return !DEFAULTS[prop] || DEFAULTS[prop].indexOf(value) === -1;
-            })
-            .join('; ');
-
-          if (cleaned) {
-            el.setAttribute('style', cleaned);
-          } else {
-            el.removeAttribute('style');
-          }
+      this.uploadImages = function(html) {
+        var upload = self.getUploader();
+        if (!upload) return html;
+        var $body = $(self.cleaner.parseDocument(html).body);
+        var $images = $body.find('img').filter(function() {
+          return /^(data|blob):/.test(this.getAttribute('src') || '');
         });
-      };
-
-      this._cleanAttributes = function(container) {
-        var PRESERVE_ON = {
-          'A':   ['href', 'target', 'title', 'rel'],
-          'IMG': ['src', 'alt', 'width', 'height'],
-          'TD':  ['colspan', 'rowspan'],
-          'TH':  ['colspan', 'rowspan', 'scope'],
-          'OL':  ['start', 'type'],
-        };
-        var ALWAYS_KEEP = ['style'];
-
-        container.querySelectorAll('*').forEach(function(el) {
-          var tag = el.tagName.toUpperCase();
-          var allowed = PRESERVE_ON[tag] || [];
-          Array.from(el.attributes).forEach(function(attr) {
-            var name = attr.name.toLowerCase();
-            if (ALWAYS_KEEP.indexOf(name) === -1 && allowed.indexOf(name) === -1) {
-              el.removeAttribute(attr.name);
+        if (!$images.length) return html;
+
+        $images.each(function() {
+          var id = 'pfw-upload-' + (++uploadCount);
+          var image = {
+            src: this.getAttribute('src'),
+            alt: this.getAttribute('alt') || '',
+            width: parseInt(this.getAttribute('width'), 10) || null,
+            height: parseInt(this.getAttribute('height'), 10) || null,
+          };
+          this.setAttribute('src', PLACEHOLDER_SRC);
+          this.setAttribute('data-pfw-upload', id);
+
+          fetch(image.src).then(function(response) {
+            return response.blob();
+          }).then(function(blob) {
+            var ext = (blob.type.split('/')[1] || 'png').replace(/\+.*$/, '');
+            image.file = new File([blob], id + '.' + ext, { type: blob.type });
+            return upload(image);
+          }).then(function(url) {
+            if (url === HANDLED) {
+              swapPlaceholder(id, null);
+              if (/^blob:/.test(image.src)) URL.revokeObjectURL(image.src);
+              return;
             }
+            if (!url) {
+              console.log('[paste-from-word] image upload returned no URL, keeping the original image');
+              swapPlaceholder(id, image.src);
+              return;
+            }
+            swapPlaceholder(id, url);
+            if (/^blob:/.test(image.src)) URL.revokeObjectURL(image.src);
+          }, function(error) {
+            console.log('[paste-from-word] image upload failed', error);
+            swapPlaceholder(id, image.src);
           });
         });
-      };
-
-      this._deduplicateInheritedStyles = function(container) {
-        container.querySelectorAll('[style]').forEach(function(el) {
-          var parent = el.parentElement;
-          if (!parent) return;
-          var parentStyles = self._parseStyleStr(parent.getAttribute('style') || '');
-          if (!Object.keys(parentStyles).length) return;
-          var childStyles = self._parseStyleStr(el.getAttribute('style') || '');
-          var unique = Object.keys(childStyles)
-            .filter(function(prop) { return parentStyles[prop] !== childStyles[prop]; })
-            .map(function(prop) { return prop + ': ' + childStyles[prop]; })
-            .join('; ');
-          if (unique) {
-            el.setAttribute('style', unique);
-          } else {
-            el.removeAttribute('style');
-          }
-        });
-      };
-
-      this._parseStyleStr = function(styleStr) {
-        var result = {};
-        (styleStr || '').split(';').forEach(function(decl) {
-          var colon = decl.indexOf(':');
-          if (colon === -1) return;
-          var prop = decl.slice(0, colon).trim().toLowerCase();
-          var val = decl.slice(colon + 1).trim().toLowerCase();
-          if (prop && val) result[prop] = val;
+        return $body.html();
+      };
+
+      function swapPlaceholder(id, src) {
+        // Remembered for fragments re-rendered from the paste options popover
+        uploadResults[id] = src;
+        var $img = $editable.find('img[data-pfw-upload="' + id + '"]');
+        if (!$img.length) return;
+        restoreUploads($img);
+        context.triggerEvent('change', $editable.html(), $editable);
+      }
+
+      // A null result removes the image
+      function restoreUploads($nodes) {
+        $nodes.find('img[data-pfw-upload]').addBack('img[data-pfw-upload]').each(function() {
+          var id = this.getAttribute('data-pfw-upload');
+          if (!(id in uploadResults)) return;
+          if (uploadResults[id] === null) $(this).remove();
+          else $(this).attr('src', uploadResults[id]).removeAttr('data-pfw-upload');
         });
-        return result;
-      };
-
-      this._cleanHeadingSpans = function(container) {
-        Array.from(container.querySelectorAll('h1 span, h2 span, h3 span, h4 span, h5 span, h6 span'))
-          .reverse()
-          .forEach(function(span) {
-            if (span.parentNode) span.replaceWith.apply(span, Array.from(span.childNodes));
-          });
-      };
+      }
 
-      this._unwrapEmptySpans = function(container) {
-        Array.from(container.querySelectorAll('span')).reverse().forEach(function(span) {
-          if (span.attributes.length === 0 && span.parentNode) {
-            span.replaceWith.apply(span, Array.from(span.childNodes));
-          }
-        });
-      };
+      // -----------------------------------------------------------------------
+      // Pipeline stages
+      //
+      //   $('.editor').summernote('paste-from-word.addStage', 'myStyles', fn, { after: 'convertLists' });
+      // -----------------------------------------------------------------------
 
-      this._unwrapWhitespaceSpans = function(container) {
-        container.querySelectorAll('span').forEach(function(span) {
-          if (span.textContent.trim() === '' && !span.querySelector('img, br') && span.parentNode) {
-            span.replaceWith.apply(span, Array.from(span.childNodes));
-          }
-        });
+      this.addStage = function(name, fn, position) {
+        withCleaner(function(cleaner) { cleaner.addStage(name, fn, position); });
       };
 
-      this._replaceNbsp = function(container) {
-        var walker = container.ownerDocument.createTreeWalker(container, 4 /* NodeFilter.SHOW_TEXT */);
-        var node;
-        while ((node = walker.nextNode())) {
-          if (node.nodeValue.indexOf('\u00a0') !== -1) {
-            node.nodeValue = node.nodeValue.replace(/\u00a0/g, ' ');
-          }
-        }
+      this.disableStage = function(name) {
+        withCleaner(function(cleaner) { cleaner.disableStage(name); });
       };
 
-      this._removeEmptyBlocks = function(container) {
-        var changed = true;
-        while (changed) {
-          changed = false;
-          container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, span').forEach(function(el) {
-            if (!el.textContent.trim() && !el.querySelector('img, br')) {
-              var tag = el.tagName.toUpperCase();
-              if (tag === 'P') {
-                // Preserve empty paragraphs as visual spacers — Word uses blank
-                // paragraphs for spacing. Convert to <p><br></p> which is
-                // Summernote's native empty-paragraph representation and survives
-                // insertion without being filtered out.
-                el.innerHTML = '<br>';
-              } else {
-                el.parentNode.removeChild(el);
-                changed = true;
-              }
-            }
-          });
-        }
+      this.enableStage = function(name) {
+        withCleaner(function(cleaner) { cleaner.enableStage(name); });
       };
     },
   });
@@ -0,0 +1,182 @@
+/**
+ * pfw-clean.spec.js
+ * Tests for the pfw-clean command-line tool.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { run } from '@/js/cli/pfw-clean';
+
+const WORD_HTML = '<p class="MsoNormal">Hello&nbsp;world<o:p></o:p></p>';
+const PLAIN_HTML = '<p class="intro">Plain</p>';
+
+function makeIo(input = '') {
+  const io = {
+    stdin: Readable.from([input]),
+    out: '',
+    err: '',
+  };
+  io.stdout = { write: s => { io.out += s; } };
+  io.stderr = { write: s => { io.err += s; } };
+  return io;
+}
+
+describe('pfw-clean: stdin and single files', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(path.join(tmpdir(), 'pfw-clean-')); });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it('cleans stdin to stdout', async () => {
+    const io = makeIo(WORD_HTML);
+    expect(await run([], io)).toBe(0);
+    expect(io.out).toBe('<p>Hello world</p>');
+  });
+
+  it('passes non-Word content through unchanged unless --force is given', async () => {
+    let io = makeIo(PLAIN_HTML);
+    await run([], io);
+    expect(io.out).toBe(PLAIN_HTML);
+
+    io = makeIo(PLAIN_HTML);
+    await run(['--force'], io);
+    expect(io.out).toBe('<p>Plain</p>');
+  });
+
+  it('cleans an input file to an output file', async () => {
+    const input = path.join(dir, 'in.html');
+    const output = path.join(dir, 'out.html');
+    writeFileSync(input, WORD_HTML);
+    const io = makeIo();
+    expect(await run([input, '-o', output], io)).toBe(0);
+    expect(readFileSync(output, 'utf8')).toBe('<p>Hello world</p>');
+    expect(io.out).toBe('');
+  });
+
+  it('reports detection results as JSON without cleaning', async () => {
+    const io = makeIo(WORD_HTML);
+    await run(['--detect'], io);
+    expect(JSON.parse(io.out)).toEqual({ source: 'word-desktop', confidence: 1 });
+  });
+
+  it('reports other sources by name, not as Word content', async () => {
+    const io = makeIo('<b style="font-weight:normal;" id="docs-internal-guid-3f1c2a9e"><p dir="ltr">x</p></b>');
+    await run(['--detect'], io);
+    expect(JSON.parse(io.out)).toEqual({ source: 'google-docs', confidence: 1 });
+  });
+
+  it('cleans only content that reaches the detection threshold, like the editor', async () => {
+    // color: windowtext (0.3) alone stays below the default 0.5; with the
+    // transparent border (0.2) it reaches it exactly
+    const weak = '<p style="color: windowtext">Weak</p>';
+    const borderline = '<p style="color: windowtext; border-bottom: 1px solid transparent">Edge</p>';
+    let io = makeIo(weak);
+    await run([], io);
+    expect(io.out).toBe(weak);
+
+    io = makeIo(borderline);
+    await run([], io);
+    expect(io.out).toBe('<p>Edge</p>');
+
+    io = makeIo(borderline);
+    await run(['--threshold', '0.6'], io);
+    expect(io.out).toBe(borderline);
+
+    io = makeIo(weak);
+    await run(['-t', '0.3'], io);
+    expect(io.out).toBe('<p>Weak</p>');
+  });
+
+  it('exits with 2 on an invalid --threshold', async () => {
+    const io = makeIo(WORD_HTML);
+    expect(await run(['--threshold', 'high'], io)).toBe(2);
+    expect(io.err).toContain('--threshold must be a number from 0 to 1');
+  });
+
+  it('applies options from a --config file', async () => {
+    const config = path.join(dir, 'config.json');
+    writeFileSync(config, JSON.stringify({ disabledStages: ['replaceNbsp'] }));
+    const io = makeIo(WORD_HTML);
+    await run(['-c', config], io);
+    expect(io.out).toBe('<p>Hello&nbsp;world</p>');
+  });
+});
+
+describe('pfw-clean: batch mode', () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'pfw-clean-'));
+    mkdirSync(path.join(dir, 'in', 'sub'), { recursive: true });
+    writeFileSync(path.join(dir, 'in', 'a.html'), WORD_HTML);
+    writeFileSync(path.join(dir, 'in', 'sub', 'b.htm'), PLAIN_HTML);
+    writeFileSync(path.join(dir, 'in', 'notes.txt'), WORD_HTML);
+  });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it('mirrors a directory of HTML files into the output directory', async () => {
+    const io = makeIo();
+    expect(await run([path.join(dir, 'in'), '-o', path.join(dir, 'out')], io)).toBe(0);
+    expect(readFileSync(path.join(dir, 'out', 'a.html'), 'utf8')).toBe('<p>Hello world</p>');
+    expect(readFileSync(path.join(dir, 'out', 'sub', 'b.htm'), 'utf8')).toBe(PLAIN_HTML);
+    expect(existsSync(path.join(dir, 'out', 'notes.txt'))).toBe(false);
+    expect(io.err).toContain('cleaned 1 of 2 files');
+  });
+
+  it('overwrites files with --in-place', async () => {
+    await run(['--in-place', path.join(dir, 'in')], makeIo());
+    expect(readFileSync(path.join(dir, 'in', 'a.html'), 'utf8')).toBe('<p>Hello world</p>');
+  });
+
+  it('prints one detection line per file', async () => {
+    const io = makeIo();
+    await run(['-d', path.join(dir, 'in')], io);
+    const lines = io.out.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ source: 'word-desktop', confidence: 1 });
+    expect(lines[1]).toMatchObject({ source: null, confidence: 0 });
+  });
+
+  it('exits with 2 when a directory is given without --output', async () => {
+    const io = makeIo();
+    expect(await run([path.join(dir, 'in')], io)).toBe(2);
+    expect(io.err).toContain('batch mode needs --output');
+  });
+
+  it('keeps processing the other files when one fails', async () => {
+    // A directory in place of the output file makes writing a.html fail
+    mkdirSync(path.join(dir, 'out', 'a.html'), { recursive: true });
+    writeFileSync(path.join(dir, 'in', 'c.html'), WORD_HTML);
+    const io = makeIo();
+    expect(await run([path.join(dir, 'in'), '-o', path.join(dir, 'out')], io)).toBe(1);
+    expect(io.err).toContain(`pfw-clean: ${path.join(dir, 'in', 'a.html')}:`);
+    expect(io.err).toContain('cleaned 1 of 3 files, 1 failed');
+    expect(readFileSync(path.join(dir, 'out', 'c.html'), 'utf8')).toBe('<p>Hello world</p>');
+  });
+
+  it('exits with 1 when an input file is missing', async () => {
+    const io = makeIo();
+    expect(await run([path.join(dir, 'missing.html')], io)).toBe(1);
+    expect(io.err).toContain('pfw-clean:');
+  });
+});
+
+describe('pfw-clean: DOM implementation', () => {
+  afterEach(() => {
+    vi.doUnmock('jsdom');
+    vi.unstubAllGlobals();
+  });
+
+  it('reports why an installed jsdom fails to load instead of asking to install it', async () => {
+    vi.stubGlobal('DOMParser', undefined);
+    vi.doMock('jsdom', () => ({
+      JSDOM: function() { throw new TypeError('webidl.util.markAsUncloneable is not a function'); },
+    }));
+    const io = makeIo(WORD_HTML);
+    expect(await run([], io)).toBe(1);
+    expect(io.err).toContain('cannot load jsdom');
+    expect(io.err).toContain('markAsUncloneable');
+    expect(io.err).not.toContain('install jsdom or linkedom');
+  });
+});
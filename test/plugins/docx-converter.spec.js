@@ -0,0 +1,141 @@
+/**
+ * docx-converter.spec.js
+ * Tests for the DocxConverter class (.docx import).
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import DocxConverter from '@/js/plugin/docx-converter';
+import WordCleaner from '@/js/plugin/paste-from-word';
+
+const SAMPLE = readFileSync(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../word-paste-test.docx'));
+
+/** A minimal uncompressed .docx package with the given word/document.xml body. */
+function makeDocx(bodyXml) {
+  const files = {
+    'word/document.xml': '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${bodyXml}</w:body></w:document>`,
+  };
+  const encoder = new TextEncoder();
+  const local = [];
+  const central = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    local.push(new Uint8Array(header.buffer), nameBytes, data);
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const size = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  const parts = [...local, ...central, new Uint8Array(end.buffer)];
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((pos, part) => { bytes.set(part, pos); return pos + part.length; }, 0);
+  return bytes;
+}
+
+describe('paste-from-word: docx import', () => {
+  let container;
+  beforeAll(async () => {
+    container = document.createElement('div');
+    container.innerHTML = await new DocxConverter().convert(SAMPLE);
+  });
+
+  it('converts heading styles to h1–h3', () => {
+    expect(container.querySelector('h1').textContent).toBe('Word-Paste Testdokument');
+    expect(container.querySelector('h2').textContent).toBe('1.1 Zweite Ebene');
+    expect(container.querySelector('h3').textContent).toBe('1.1.1 Dritte Ebene');
+  });
+
+  it('converts run properties to inline tags and styles', () => {
+    expect(container.innerHTML).toContain('<b>fett</b>');
+    expect(container.innerHTML).toContain('<sup>Hochgestellt</sup>');
+    expect(container.innerHTML).toContain('<s>Durchgestrichen</s>');
+    expect(container.innerHTML).toContain('<span style="color: #FF0000">Text in Rot</span>');
+    expect(container.innerHTML).toContain('<span style="font-size: 16pt">');
+  });
+
+  it('rebuilds nested bullet and numbered lists from numbering.xml', () => {
+    expect(container.querySelector('ul ul ul > li').textContent).toBe('Ebene 3 – tief verschachtelt');
+    const ol = Array.from(container.querySelectorAll('ol'))
+      .find(list => list.firstElementChild.textContent === 'Erster Schritt');
+    expect(ol.querySelector('ol').children).toHaveLength(2);
+  });
+
+  it('keeps the numbering format of ordered lists', () => {
+    expect(container.querySelector('ol[type="a"]').firstElementChild.textContent).toBe('Unterschritt a');
+    expect(container.querySelector('ol[type="I"]').children).toHaveLength(3);
+  });
+
+  it('keeps table borders, shading and merged cells', () => {
+    const cells = container.querySelectorAll('td');
+    expect(cells[0].getAttribute('style')).toBe('border: 1px solid #AAAAAA; background-color: #2E75B6');
+    expect(container.querySelector('td[rowspan="2"]').textContent).toContain('Verbundene Zelle');
+    expect(container.querySelector('td[colspan="2"]').textContent).toContain('Colspan-Zelle');
+  });
+
+  it('embeds images as data URIs with their size', () => {
+    const img = container.querySelector('img');
+    expect(img.getAttribute('src')).toMatch(/^data:image\/png;base64,/);
+    expect(img.getAttribute('width')).toBe('30');
+  });
+
+  it('resolves external hyperlinks', () => {
+    expect(container.querySelector('a').getAttribute('href')).toBe('https://example.com');
+  });
+
+  it('keeps paragraph alignment and empty paragraphs', () => {
+    expect(container.innerHTML).toContain('<p style="text-align: center"><b>Zentrierter Text</b></p>');
+    expect(container.innerHTML).toContain('<p><br></p>');
+  });
+
+  it('applies the cleaner options and stages', async () => {
+    const cleaner = new WordCleaner({ disabledStages: ['removeEmptyBlocks'] });
+    cleaner.addStage('dropImages', container => {
+      container.querySelectorAll('img').forEach(img => img.remove());
+    });
+    const html = await new DocxConverter({ cleaner }).convert(SAMPLE);
+    expect(html).not.toContain('<img');
+  });
+
+  it('keeps conversions running at the same time apart', async () => {
+    const converter = new DocxConverter();
+    const other = makeDocx('<w:p><w:r><w:t>Other document</w:t></w:r></w:p>');
+    const [first, second] = await Promise.all([converter.convert(SAMPLE), converter.convert(other)]);
+    expect(first).toBe(container.innerHTML);
+    expect(second).toBe('<p>Other document</p>');
+  });
+
+  it('rejects files that are not .docx packages', async () => {
+    await expect(new DocxConverter().convert(new TextEncoder().encode('<p>not a zip</p>')))
+      .rejects.toThrow('not a .docx file');
+  });
+
+  it('recognizes .docx files by name or MIME type', () => {
+    expect(DocxConverter.isDocxFile({ name: 'Report.DOCX', type: '' })).toBe(true);
+    expect(DocxConverter.isDocxFile({
+      name: 'blob',
+      type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    })).toBe(true);
+    expect(DocxConverter.isDocxFile({ name: 'photo.png', type: 'image/png' })).toBe(false);
+  });
+});
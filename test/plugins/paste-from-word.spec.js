@@ -3,7 +3,7 @@
  * Tests for the WordCleaner class (paste-from-word plugin logic).
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import WordCleaner from '@/js/plugin/paste-from-word';
 
 describe('paste-from-word: detection', () => {
@@ -45,6 +45,43 @@ describe('paste-from-word: detection', () => {
   });
 });
 
+describe('paste-from-word: detection report', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  it('reports a conclusive marker with full confidence', () => {
+    expect(cleaner.detectSource(
+      '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body><p class="MsoNormal">text<o:p></o:p></p></body></html>'
+    )).toEqual({ source: 'word-desktop', confidence: 1, matchedMarkers: ['xmlns:o', 'class=Mso*', '<o:p>'] });
+  });
+
+  it('scores a lone weak marker low', () => {
+    expect(cleaner.detectSource('<p style="color: windowtext">text</p>'))
+      .toEqual({ source: 'word-online', confidence: 0.3, matchedMarkers: ['color: windowtext'] });
+  });
+
+  it('adds up the weights of several markers', () => {
+    const report = cleaner.detectSource(
+      '<div class="OutlineElement Ltr SCXW12 BCX0"><p class="Paragraph SCXW12 BCX0" style="color: windowtext" ' +
+      'data-ccp-props="{}">text</p></div>'
+    );
+    expect(report.source).toBe('word-online');
+    expect(report.confidence).toBe(1);
+    expect(report.matchedMarkers).toEqual(['class=SCXW*', 'data-ccp-props', 'color: windowtext']);
+  });
+
+  it('reports the source of other applications', () => {
+    const report = cleaner.detectSource('<meta name="generator" content="LibreOffice 7.6"><table><tr><td sdval="3">3</td></tr></table>');
+    expect(report.source).toBe('libreoffice-calc');
+    expect(report.matchedMarkers).toEqual(['generator LibreOffice', 'sdval/sdnum']);
+  });
+
+  it('reports plain HTML with no source and zero confidence', () => {
+    expect(cleaner.detectSource('<p>Hello <strong>world</strong></p>'))
+      .toEqual({ source: null, confidence: 0, matchedMarkers: [] });
+  });
+});
+
 describe('paste-from-word: conditional comment removal', () => {
   let cleaner;
   beforeEach(() => { cleaner = new WordCleaner(); });
@@ -623,4 +660,1198 @@ describe('paste-from-word: empty block removal', () => {
     const result = cleaner.clean('<p><br></p>');
     expect(result).toContain('<br>');
   });
+
+  it('keeps empty paragraphs as <p><br></p> spacers', () => {
+    const result = cleaner.clean('<p class="MsoNormal">One</p><p class="MsoNormal"><o:p>&nbsp;</o:p></p><p class="MsoNormal">Two</p>');
+    expect(result).toBe('<p>One</p><p><br></p><p>Two</p>');
+  });
+
+  it('removes empty spans and headings', () => {
+    const result = cleaner.clean('<p class="MsoNormal">text<span style="color: red"> </span></p><h2 class="MsoHeading2"></h2>');
+    expect(result).toBe('<p>text </p>');
+  });
+});
+
+describe('paste-from-word: cleaning options', () => {
+  it('drops properties left out of keepStyles', () => {
+    const cleaner = new WordCleaner({ keepStyles: ['font-weight'] });
+    const result = cleaner.clean('<p class="MsoNormal"><span style="color: red; font-weight: bold">text</span></p>');
+    expect(result).not.toContain('color');
+    expect(result).toContain('font-weight: bold');
+  });
+
+  it('keeps extra properties listed in keepStyles', () => {
+    const cleaner = new WordCleaner({
+      keepStyles: [...WordCleaner.DEFAULTS.keepStyles, 'font-family'],
+    });
+    const result = cleaner.clean('<p class="MsoNormal"><span style="font-family: Calibri">text</span></p>');
+    expect(result).toContain('<span style="font-family: Calibri">');
+  });
+
+  it('merges defaultValues per property', () => {
+    const cleaner = new WordCleaner({ defaultValues: { 'font-size': ['11pt'] } });
+    const result = cleaner.clean('<p style="font-size: 11pt; color: windowtext">text</p>');
+    expect(result).not.toContain('font-size');
+    expect(result).not.toContain('windowtext');
+  });
+
+  it('merges allowedAttributes per tag, case-insensitively', () => {
+    const cleaner = new WordCleaner({ allowedAttributes: { span: ['lang'] } });
+    const result = cleaner.clean('<p lang="de"><span lang="de" style="color: red">text</span></p>');
+    expect(result).toContain('<span lang="de"');
+    expect(result).toContain('<p>');
+    expect(new WordCleaner().clean('<a href="https://example.com">x</a>')).toContain('href=');
+    expect(cleaner.clean('<a href="https://example.com">x</a>')).toContain('href=');
+  });
+
+  it('uses headingThresholds for custom heading styles', () => {
+    const cleaner = new WordCleaner({ headingThresholds: { h2: 14, h4: 0 } });
+    const html = '<p><span style="font-size: 14pt;"><span data-ccp-parastyle="heading 20">T</span></span></p>';
+    expect(cleaner.clean(html)).toContain('<h2>');
+    expect(cleaner.clean(html.replace('14pt', '10pt'))).toContain('<h4>');
+  });
+
+  it('rejects headingThresholds without heading entries', () => {
+    expect(() => new WordCleaner({ headingThresholds: {} })).toThrow('headingThresholds must map h1–h6');
+    expect(() => new WordCleaner({ headingThresholds: { h2: '14pt' } })).toThrow('headingThresholds must map h1–h6');
+    expect(() => new WordCleaner({ headingThresholds: { title: 20 } })).toThrow('headingThresholds must map h1–h6');
+  });
+
+  it('uses excelKeepStyles when baking Excel class rules', () => {
+    const cleaner = new WordCleaner({ excelKeepStyles: ['font-weight'] });
+    const html = '<html><head><meta name="ProgId" content="Excel.Sheet">' +
+      '<style>.xl65 { color: red; font-weight: 700 }</style></head>' +
+      '<body><table><tr><td class="xl65">cell</td></tr></table></body></html>';
+    const result = cleaner.clean(html);
+    expect(result).toContain('font-weight: 700');
+    expect(result).not.toContain('color');
+  });
+});
+
+describe('paste-from-word: pipeline stages', () => {
+  const listHtml =
+    '<p class="MsoListBullet" style="mso-list:l0 level1 lfo1">' +
+    '<span style="mso-list:Ignore">·</span>Item&nbsp;one</p>';
+
+  it('detects the source type', () => {
+    const cleaner = new WordCleaner();
+    expect(cleaner.detectSourceType(listHtml)).toBe('word-desktop');
+    expect(cleaner.detectSourceType('<li data-listid="2">x</li>')).toBe('word-online');
+    expect(cleaner.detectSourceType('<meta name="ProgId" content="Excel.Sheet">')).toBe('excel');
+    expect(cleaner.detectSourceType('<p>plain</p>')).toBeNull();
+  });
+
+  it('runs a custom stage after a named built-in stage with container and source', () => {
+    const cleaner = new WordCleaner();
+    const calls = [];
+    cleaner.addStage('inspect', (container, source) => {
+      calls.push([source, container.querySelector('ul') !== null]);
+    }, { after: 'convertLists' });
+    cleaner.clean(listHtml);
+    expect(calls).toEqual([['word-desktop', true]]);
+  });
+
+  it('runs a custom stage before a named built-in stage', () => {
+    const cleaner = new WordCleaner();
+    let sawList = null;
+    cleaner.addStage('inspect', container => {
+      sawList = container.querySelector('ul') !== null;
+    }, { before: 'convertLists' });
+    cleaner.clean(listHtml);
+    expect(sawList).toBe(false);
+  });
+
+  it('lets a custom stage transform the container', () => {
+    const cleaner = new WordCleaner({
+      stages: [{
+        name: 'markItems',
+        after: 'convertLists',
+        fn: container => container.querySelectorAll('li').forEach(li => li.setAttribute('style', 'color: red')),
+      }],
+    });
+    expect(cleaner.clean(listHtml)).toContain('<li style="color: red">');
+  });
+
+  it('skips disabled built-in stages', () => {
+    const cleaner = new WordCleaner({ disabledStages: ['replaceNbsp'] });
+    expect(cleaner.clean(listHtml)).toContain('Item&nbsp;one');
+    cleaner.enableStage('replaceNbsp');
+    expect(cleaner.clean(listHtml)).toContain('Item one');
+  });
+
+  it('rejects unknown reference stages and duplicate names', () => {
+    const cleaner = new WordCleaner();
+    expect(() => cleaner.addStage('x', () => {}, { after: 'nope' })).toThrow(/unknown stage/);
+    expect(() => cleaner.addStage('convertLists', () => {})).toThrow(/already exists/);
+    expect(() => cleaner.disableStage('nope')).toThrow(/unknown stage/);
+  });
+});
+
+describe('paste-from-word: cleaning report', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const html = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body><!--StartFragment-->' +
+    '<p class="MsoNormal" style="margin:0cm;mso-line-height-alt:12pt"><span lang="DE" style="color:red">Red</span>' +
+    '<span lang="DE"> text</span><img src="file:///C:/Temp/clip_image001.png"><o:p></o:p></p>' +
+    '<!--EndFragment--></body></html>';
+
+  it('returns the same HTML as clean()', () => {
+    const result = cleaner.cleanWithReport(html);
+    expect(result.html).toBe(cleaner.clean(html));
+    expect(result.source).toBe('word-desktop');
+    expect(result.time).toBeGreaterThanOrEqual(0);
+  });
+
+  it('reports what each stage removed', () => {
+    const { report } = cleaner.cleanWithReport(html);
+    const stage = name => report.stages.find(s => s.name === name);
+    expect(report.stages[0].name).toBe('preprocess');
+    expect(stage('removeNoiseNodes').removed.images).toBe(1);
+    expect(stage('removeNoiseNodes').removed.comments).toBe(2);
+    expect(stage('cleanStyles').removed.styles).toBe(2);
+    expect(stage('cleanAttributes').removed.attributes).toBe(2);
+    expect(report.removed).toEqual({ styles: 2, attributes: 4, images: 1, comments: 2, spans: 1 });
+  });
+
+  it('counts only attributes from the pasted HTML, not list ids and numbering it adds', () => {
+    const item = (lfo, text) => `<p class="MsoListParagraph" style="mso-list:l${lfo} level1 lfo${lfo}">` +
+      `<span style="mso-list:Ignore">1.<span style="font:7.0pt">&nbsp;</span></span>${text}<o:p></o:p></p>`;
+    const result = cleaner.cleanWithReport(item(1, 'One') + item(2, 'Two'));
+    expect(result.html).toBe('<ol><li>One</li></ol><ol start="1"><li>Two</li></ol>');
+    // The two class attributes; data-listid and start are generated
+    expect(result.report.removed.attributes).toBe(2);
+  });
+
+  it('does not leave its records of generated attributes in the output', () => {
+    cleaner.disableStage('cleanAttributes');
+    const list = '<p class="MsoListParagraph" style="mso-list:l0 level1 lfo1">' +
+      '<span style="mso-list:Ignore">1.<span style="font:7.0pt">&nbsp;</span></span>One<o:p></o:p></p>';
+    expect(cleaner.cleanWithReport(list).html).not.toContain('data-pfw-');
+  });
+
+  it('leaves out disabled stages', () => {
+    cleaner.disableStage('replaceNbsp');
+    const { report } = cleaner.cleanWithReport(html);
+    expect(report.stages.map(s => s.name)).not.toContain('replaceNbsp');
+  });
+});
+
+describe('paste-from-word: table borders', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  it('collapses Word Online border longhands into a border shorthand', () => {
+    const result = cleaner.clean(
+      '<div style="color: windowtext"><table><tr>' +
+      '<td style="border-width: 1px; border-style: solid; ' +
+      'border-color: rgb(170, 170, 170) rgb(0, 0, 0) rgb(0, 0, 0) rgb(170, 170, 170); border-image: initial;">cell</td>' +
+      '</tr></table></div>'
+    );
+    expect(result).toContain('border: 1px solid rgb(170, 170, 170)');
+    expect(result).not.toContain('border-width');
+    expect(result).not.toContain('border-image');
+  });
+
+  it('drops the border when the longhand style is none', () => {
+    const result = cleaner.clean(
+      '<table style="color: windowtext"><tr><td style="border-width: 1px; border-style: none;">cell</td></tr></table>'
+    );
+    expect(result).toContain('<td>cell</td>');
+  });
+
+  it('normalizes Excel .5pt borders to 1px', () => {
+    const result = cleaner.clean(
+      '<table style="color: windowtext"><tr><td style="border: .5pt solid windowtext">cell</td></tr></table>'
+    );
+    expect(result).toContain('border: 1px solid windowtext');
+  });
+
+  it('keeps Excel class borders on cells', () => {
+    const html = '<html><head><meta name="ProgId" content="Excel.Sheet">' +
+      '<style>.xl65 { border: .5pt solid black }</style></head>' +
+      '<body><table><tr><td class="xl65">cell</td></tr></table></body></html>';
+    expect(cleaner.clean(html)).toContain('border: 1px solid black');
+  });
+
+  it('keeps border-collapse on tables but not border on paragraphs', () => {
+    const result = cleaner.clean(
+      '<table style="border-collapse: collapse; color: windowtext"><tr><td>cell</td></tr></table>' +
+      '<p style="border: 1px solid red">text</p>'
+    );
+    expect(result).toContain('<table style="border-collapse: collapse">');
+    expect(result).toContain('<p>text</p>');
+  });
+
+  it('removes font-size from table and tr but keeps it on cells', () => {
+    const result = cleaner.clean(
+      '<table style="font-size: 11pt; color: windowtext"><tr style="font-size: 11pt">' +
+      '<td style="font-size: 11pt">cell</td></tr></table>'
+    );
+    expect(result).toContain('<table>');
+    expect(result).toContain('<tr>');
+    expect(result).toContain('<td style="font-size: 11pt">');
+  });
+});
+
+describe('paste-from-word: DOM implementation injection', () => {
+  const NativeDOMParser = globalThis.DOMParser;
+  const html = '<p class="MsoNormal">text<o:p></o:p></p><!--EndFragment-->';
+
+  afterEach(() => { globalThis.DOMParser = NativeDOMParser; });
+
+  it('uses an injected DOMParser class without the global', () => {
+    delete globalThis.DOMParser;
+    const cleaner = new WordCleaner({ domParser: NativeDOMParser });
+    expect(cleaner.clean(html)).toBe('<p>text</p>');
+  });
+
+  it('uses an injected DOMParser instance', () => {
+    const parser = new NativeDOMParser();
+    const calls = [];
+    const cleaner = new WordCleaner({
+      domParser: { parseFromString: (str, type) => { calls.push(type); return parser.parseFromString(str, type); } },
+    });
+    expect(cleaner.clean(html)).toBe('<p>text</p>');
+    expect(calls).toEqual(['text/html']);
+  });
+
+  it('uses an injected parseDocument factory', () => {
+    delete globalThis.DOMParser;
+    const cleaner = new WordCleaner({
+      parseDocument: str => new NativeDOMParser().parseFromString(str, 'text/html'),
+    });
+    expect(cleaner.clean(html)).toBe('<p>text</p>');
+  });
+
+  it('throws a descriptive error when no DOM implementation is available', () => {
+    delete globalThis.DOMParser;
+    expect(() => new WordCleaner().clean(html)).toThrow(/no DOMParser available/);
+  });
+});
+
+describe('paste-from-word: local image recovery', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  // 1×1 PNG
+  const PNG_HEX = '89504e470d0a1a0a0000000d4948445200000001000000010806000000' +
+    '1f15c4890000000d49444154789c6360f8cfc0f01f0005000201a3e3c2f20000000049454e44ae426082';
+  const PNG_URI = 'data:image/png;base64,' + btoa(PNG_HEX.match(/../g).map(h => String.fromCharCode(parseInt(h, 16))).join(''));
+  const RTF = '{\\rtf1\\ansi{\\*\\shppict{\\pict{\\*\\picprop{\\sp{\\sn fLine}{\\sv 0}}}' +
+    '\\picw26\\pich26\\picwgoal15\\pichgoal15\\pngblip{\\*\\blipuid 0123456789abcdef0123456789abcdef}\n' +
+    PNG_HEX.slice(0, 60) + '\n' + PNG_HEX.slice(60) + '}}' +
+    '{\\nonshppict{\\pict\\wmetafile8\\picw26\\pich26 0100090000}}}';
+  const WORD_HTML = '<p class="MsoNormal">' +
+    '<!--[if gte vml 1]><v:shape id="Picture_x0020_1" style="width:15pt;height:15pt">' +
+    '<v:imagedata src="file:///C:/Users/x/AppData/Local/Temp/msohtmlclip1/01/clip_image001.png" o:title=""/>' +
+    '</v:shape><![endif]--><![if !vml]>' +
+    '<img width="20" height="20" src="file:///C:/Users/x/AppData/Local/Temp/msohtmlclip1/01/clip_image002.png" v:shapes="Picture_x0020_1">' +
+    '<![endif]><o:p></o:p></p>';
+
+  it('extracts PNG pictures from RTF and skips nonshppict fallbacks', () => {
+    expect(cleaner.extractRtfImages(RTF)).toEqual([PNG_URI]);
+  });
+
+  it('returns null for picture formats browsers cannot display', () => {
+    expect(cleaner.extractRtfImages('{\\rtf1{\\pict\\emfblip 0100}}')).toEqual([null]);
+  });
+
+  it('inlines RTF pictures into file:/// images, once per picture', () => {
+    expect(cleaner.clean(WORD_HTML, { rtf: RTF })).toBe(`<p><img width="20" height="20" src="${PNG_URI}"></p>`);
+  });
+
+  it('falls back to pasted image files', () => {
+    expect(cleaner.clean(WORD_HTML, { images: ['blob:https://example.com/1234'] }))
+      .toBe('<p><img width="20" height="20" src="blob:https://example.com/1234"></p>');
+  });
+
+  it('converts VML images without an <img> counterpart', () => {
+    const html = '<p class="MsoNormal"><v:shape id="s1"><v:imagedata src="file:///C:/a.png" o:title="Logo"></v:imagedata></v:shape></p>';
+    expect(cleaner.clean(html, { images: ['data:image/png;base64,AAAA'] }))
+      .toBe('<p><img src="data:image/png;base64,AAAA" alt="Logo"></p>');
+  });
+
+  it('still removes local images without matching data', () => {
+    expect(cleaner.clean(WORD_HTML)).not.toContain('<img');
+  });
+
+  it('detects local image references', () => {
+    expect(cleaner.hasLocalImages(WORD_HTML)).toBe(true);
+    expect(cleaner.hasLocalImages('<img src="https://example.com/a.png">')).toBe(false);
+  });
+});
+
+describe('paste-from-word: paste modes', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const html = '<h2><span style="font-weight: bold">Title</span></h2>' +
+    '<p style="text-align: center"><span style="color: #ff0000; font-size: 14pt; font-weight: bold">red</span>' +
+    ' and <span style="font-style: italic; text-decoration: underline">styled</span>\ntext</p>' +
+    '<ol start="3"><li>one<ul><li>nested</li></ul></li><li>two</li></ol>' +
+    '<table style="border-collapse: collapse"><tbody><tr><td style="border: 1px solid #000">a</td><td>b</td></tr></tbody></table>';
+
+  it('returns the HTML unchanged for "keep"', () => {
+    expect(cleaner.applyPasteMode(html, 'keep')).toBe(html);
+  });
+
+  it('keeps structure and emphasis but no styles for "merge"', () => {
+    expect(cleaner.applyPasteMode(html, 'merge')).toBe(
+      '<h2>Title</h2>' +
+      '<p><b>red</b> and <u><i>styled</i></u>\ntext</p>' +
+      '<ol start="3"><li>one<ul><li>nested</li></ul></li><li>two</li></ol>' +
+      '<table><tbody><tr><td>a</td><td>b</td></tr></tbody></table>'
+    );
+  });
+
+  it('produces one paragraph per line for "text"', () => {
+    expect(cleaner.applyPasteMode(html, 'text')).toBe(
+      '<p>Title</p><p>red and styled text</p><p>3. one</p><p>• nested</p><p>4. two</p><p>a b</p>'
+    );
+  });
+
+  it('separates lines with <br> for inline "text"', () => {
+    expect(cleaner.applyPasteMode('<p>a &lt;b&gt;</p><p>c</p>', 'text', { inline: true })).toBe('a &lt;b&gt;<br>c');
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => cleaner.applyPasteMode(html, 'fancy')).toThrow(/unknown paste mode "fancy"/);
+  });
+});
+
+describe('paste-from-word: Google Docs', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const RUN = 'font-family:Arial,sans-serif;color:#000000;background-color:transparent;font-weight:400;' +
+    'font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;white-space:pre-wrap;';
+  const span = (text, extra = '', size = '11pt') => `<span style="font-size:${size};${RUN}${extra}">${text}</span>`;
+  const p = inner => `<p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;">${inner}</p>`;
+  const li = (level, type, text) => `<li dir="ltr" style="list-style-type:${type};font-size:11pt;" aria-level="${level}">` +
+    `<p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;" role="presentation">${span(text)}</p></li>`;
+  const wrap = inner => '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-3f1c2a9e-7fff-8e1d-4b2a-0c9d1e2f3a4b">' +
+    inner + '</b><br class="Apple-interchange-newline">';
+
+  it('detects Google Docs content', () => {
+    const html = wrap(p(span('x')));
+    expect(cleaner.isGoogleDocsContent(html)).toBe(true);
+    expect(cleaner.isSupportedContent(html)).toBe(true);
+    expect(cleaner.isWordContent(html)).toBe(false);
+    expect(cleaner.detectSourceType(html)).toBe('google-docs');
+    expect(cleaner.isGoogleDocsContent('<p>x</p>')).toBe(false);
+  });
+
+  it('removes the fake bold wrapper and default run styles', () => {
+    expect(cleaner.clean(wrap(p(span('Plain ') + span('bold', 'font-weight:700;') + span(' and ') + span('red', 'color:#ff0000;')))))
+      .toBe('<p>Plain <span style="font-weight: 700">bold</span> and <span style="color: #ff0000">red</span></p>');
+  });
+
+  it('keeps real headings and infers headings from a larger font size', () => {
+    const html = wrap(
+      p(span('Document title', '', '26pt')) +
+      '<h2 dir="ltr" style="line-height:1.38;margin-top:18pt;">' + span('Section', '', '16pt') + '</h2>' +
+      p(span('Body text that is long enough to be the body size.'))
+    );
+    expect(cleaner.clean(html)).toBe('<h1>Document title</h1><h2>Section</h2><p>Body text that is long enough to be the body size.</p>');
+  });
+
+  it('rebuilds nested lists from aria-level', () => {
+    const html = wrap(
+      '<ul style="margin-top:0;margin-bottom:0;padding-inline-start:48px;">' +
+      li(1, 'disc', 'One') +
+      '<ul style="margin-top:0;margin-bottom:0;padding-inline-start:48px;">' + li(2, 'circle', 'Nested') + '</ul>' +
+      li(1, 'disc', 'Two') +
+      '</ul>' +
+      '<ol style="margin-top:0;margin-bottom:0;padding-inline-start:48px;">' + li(1, 'decimal', 'First') + li(2, 'lower-alpha', 'Sub') + '</ol>'
+    );
+    expect(cleaner.clean(html)).toBe(
+      '<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>' +
+      '<ol><li>First<ol><li>Sub</li></ol></li></ol>'
+    );
+  });
+
+  it('derives list levels from margin-left when aria-level is missing', () => {
+    const item = (margin, text) => `<li style="list-style-type:disc;margin-left:${margin};">${span(text)}</li>`;
+    const html = wrap('<ul>' + item('0pt', 'A') + item('36pt', 'B') + item('0pt', 'C') + '</ul>');
+    expect(cleaner.clean(html)).toBe('<ul><li>A<ul><li>B</li></ul></li><li>C</li></ul>');
+  });
+
+  it('collapses per-side cell borders', () => {
+    const side = 'solid #000000 1pt';
+    const html = wrap('<div dir="ltr" style="margin-left:0pt;" align="left"><table style="border:none;border-collapse:collapse;">' +
+      '<colgroup><col width="301"></colgroup><tbody><tr style="height:0pt">' +
+      `<td style="border-left:${side};border-right:${side};border-bottom:${side};border-top:${side};vertical-align:top;padding:5pt 5pt 5pt 5pt;">` +
+      p(span('cell')) + '</td></tr></tbody></table></div>');
+    expect(cleaner.clean(html)).toBe(
+      '<table style="border-collapse:collapse"><tbody><tr><td style="border: 1px solid #000000">cell</td></tr></tbody></table>'
+    );
+  });
+});
+
+describe('paste-from-word: LibreOffice', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const head = (style = '') => '<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.0 Transitional//EN"><html><head>' +
+    '<meta http-equiv="content-type" content="text/html; charset=utf-8"/><title></title>' +
+    '<meta name="generator" content="LibreOffice 7.6.4.1 (Linux)"/>' +
+    `<style type="text/css">${style}</style></head>`;
+  const writer = body => head('p { line-height: 115%; margin-bottom: 0.25cm; background: transparent }') +
+    `<body lang="en-US" link="#000080" vlink="#800000" dir="ltr">${body}</body></html>`;
+  const calc = body => head('body,div,table,thead,tbody,tfoot,tr,th,td,p { font-family:"Liberation Sans"; font-size:x-small } ' +
+    'a.comment-indicator:hover + comment { background:#ffd; position:absolute; display:block; } ' +
+    '.ce1 { font-weight: bold }') + `<body>${body}</body></html>`;
+
+  it('detects Writer and Calc content', () => {
+    expect(cleaner.isLibreOfficeContent(writer('<p>x</p>'))).toBe(true);
+    expect(cleaner.isSupportedContent(writer('<p>x</p>'))).toBe(true);
+    expect(cleaner.isWordContent(writer('<p>x</p>'))).toBe(false);
+    expect(cleaner.detectSourceType(writer('<p>x</p>'))).toBe('libreoffice-writer');
+    expect(cleaner.detectSourceType(calc('<table><tr><td>x</td></tr></table>'))).toBe('libreoffice-calc');
+    expect(cleaner.isLibreOfficeContent('<meta name="generator" content="Hugo 0.120"><p>x</p>')).toBe(false);
+  });
+
+  it('converts <font> tags to inline styles', () => {
+    const html = writer('<p class="western" style="line-height: 100%; margin-bottom: 0cm">' +
+      '<font color="#FF0000"><font face="Liberation Serif, serif"><font size="4" style="font-size: 14pt">red</font></font></font> ' +
+      '<font size="2">small</font></p>');
+    expect(cleaner.clean(html)).toBe(
+      '<p><span style="color: #ff0000"><span style="font-size: 14pt">red</span></span> <span style="font-size: 10pt">small</span></p>'
+    );
+  });
+
+  it('converts <strike>, align and background shorthands', () => {
+    const html = writer('<h2 class="western" align="center">Title</h2>' +
+      '<p class="cjk"><strike>gone</strike> <span style="background: #ffff00">marked</span></p>');
+    expect(cleaner.clean(html)).toBe(
+      '<h2 style="text-align: center">Title</h2><p><s>gone</s> <span style="background-color: #ffff00">marked</span></p>'
+    );
+  });
+
+  it('removes the script classes even when class attributes are allowed', () => {
+    const custom = new WordCleaner({ allowedAttributes: { P: ['class'] } });
+    expect(custom.clean(writer('<p class="western note">x</p>'))).toBe('<p class="note">x</p>');
+  });
+
+  it('cleans Calc tables like Excel tables', () => {
+    const side = '1px solid #000000';
+    const html = calc('<table cellspacing="0" border="0"><colgroup width="85"></colgroup><colgroup span="2" width="64"></colgroup>' +
+      `<tr><td class="ce1" height="17" align="left" bgcolor="#FFFF00" style="border-top: ${side}; border-bottom: ${side}; border-left: ${side}; border-right: ${side}">` +
+      '<font color="#000000">Name</font></td>' +
+      '<td align="right" sdval="42" sdnum="1033;">42</td></tr></table>');
+    expect(cleaner.clean(html)).toBe(
+      '<table><tbody><tr>' +
+      '<td style="font-weight: bold; background-color: #ffff00; border: 1px solid #000000">Name</td>' +
+      '<td style="text-align: right">42</td>' +
+      '</tr></tbody></table>'
+    );
+  });
+});
+
+describe('paste-from-word: Outlook', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const SAFE = 'https://eur02.safelinks.protection.outlook.com/?url=https%3A%2F%2Fexample.com%2Fpath%3Fa%3D1%26b%3D2' +
+    '&data=05%7C02%7Cuser%40example.com%7C0123&sdata=abc%3D&reserved=0';
+  const desktopHeader = '<div><div style="border:none;border-top:solid #E1E1E1 1.0pt;padding:3.0pt 0cm 0cm 0cm">' +
+    '<p class="MsoNormal"><b><span lang="EN-US">From:</span></b><span lang="EN-US"> Anna Example &lt;anna@example.com&gt; <br>' +
+    '<b>Sent:</b> Monday, 5 October 2026 10:12<br><b>To:</b> Support &lt;support@example.com&gt;<br>' +
+    '<b>Subject:</b> Printer</span><o:p></o:p></p></div></div>';
+
+  it('detects Outlook content', () => {
+    expect(cleaner.detectSourceType(`<p class="MsoNormal"><a href="${SAFE}">x</a></p>`)).toBe('outlook');
+    expect(cleaner.detectSourceType('<div class="x_WordSection1"><p class="x_MsoNormal">x</p></div>')).toBe('outlook');
+    expect(cleaner.detectSourceType(`<div class="WordSection1">${desktopHeader}</div>`)).toBe('outlook');
+    expect(cleaner.isWordContent('<p class="x_MsoNormal">x</p>')).toBe(true);
+  });
+
+  it('unwraps Safe Links, including link text showing the wrapped URL', () => {
+    expect(cleaner.unwrapSafeLink(SAFE)).toBe('https://example.com/path?a=1&b=2');
+    expect(cleaner.unwrapSafeLink('https://example.com/')).toBe('https://example.com/');
+    expect(cleaner.unwrapSafeLink('https://eur02.safelinks.protection.outlook.com/?url=mailto%3Aanna%40example.com'))
+      .toBe('mailto:anna@example.com');
+    expect(cleaner.clean(`<p class="MsoNormal"><a href="${SAFE}" originalsrc="https://example.com/path?a=1&amp;b=2">${SAFE.replace(/&/g, '&amp;')}</a></p>`))
+      .toBe('<p><a href="https://example.com/path?a=1&amp;b=2">https://example.com/path?a=1&amp;b=2</a></p>');
+  });
+
+  it('keeps the Safe Links URL when the wrapped URL is not http(s) or mailto', () => {
+    const unsafe = 'https://eur02.safelinks.protection.outlook.com/?url=javascript%3Aalert(1)&data=05';
+    expect(cleaner.unwrapSafeLink(unsafe)).toBe(unsafe);
+    expect(cleaner.unwrapSafeLink('https://eur02.safelinks.protection.outlook.com/?url=%20data%3Atext%2Fhtml%2Cx')).toMatch(/safelinks/);
+    expect(cleaner.clean(`<p class="MsoNormal"><a href="${unsafe}">x</a></p>`)).not.toContain('javascript:');
+  });
+
+  it('turns a desktop reply header into a quote header followed by a blockquote', () => {
+    const html = '<div class="WordSection1"><p class="MsoNormal">Thanks, fixed.<o:p></o:p></p>' + desktopHeader +
+      '<p class="MsoNormal">The printer is broken.<o:p></o:p></p></div>';
+    expect(cleaner.clean(html)).toBe(
+      '<p>Thanks, fixed.</p>' +
+      '<p><b>From:</b> Anna Example &lt;anna@example.com&gt;<br><b>Sent:</b> Monday, 5 October 2026 10:12<br>' +
+      '<b>To:</b> Support &lt;support@example.com&gt;<br><b>Subject:</b> Printer</p>' +
+      '<blockquote><p>The printer is broken.</p></blockquote>'
+    );
+  });
+
+  it('keeps the reply when the header inside the WordSection wrapper ends the paste', () => {
+    const html = `<div class="WordSection1"><p class="MsoNormal">Please see below<o:p></o:p></p>${desktopHeader}</div>`;
+    expect(cleaner.clean(html)).toBe(
+      '<p>Please see below</p>' +
+      '<p><b>From:</b> Anna Example &lt;anna@example.com&gt;<br><b>Sent:</b> Monday, 5 October 2026 10:12<br>' +
+      '<b>To:</b> Support &lt;support@example.com&gt;<br><b>Subject:</b> Printer</p>'
+    );
+  });
+
+  it('keeps the thread when a second header ends the paste', () => {
+    const html = '<div class="WordSection1"><p class="MsoNormal">Reply<o:p></o:p></p>' + desktopHeader +
+      '<p class="MsoNormal">Quoted<o:p></o:p></p>' + desktopHeader + '</div>';
+    const out = cleaner.clean(html);
+    expect(out).toMatch(/^<p>Reply<\/p><p><b>From:<\/b> Anna Example .*<\/p><blockquote><p>Quoted<\/p><p><b>From:<\/b> Anna Example .*<\/p><\/blockquote>$/);
+  });
+
+  it('nests older replies of an OWA thread', () => {
+    const owaHeader = (from, subject) => '<hr tabindex="-1" style="display:inline-block;width:98%">' +
+      '<div id="x_divRplyFwdMsg" dir="ltr"><font face="Calibri, sans-serif" style="font-size:11pt" color="#000000">' +
+      `<b>From:</b> ${from}<br><b>Sent:</b> Friday<br><b>Subject:</b> ${subject}</font><div>&nbsp;</div></div>`;
+    const html = '<div class="x_elementToProof">Latest</div>' +
+      owaHeader('Bob', 'RE: Q') + '<div><p class="x_MsoNormal">Middle<o:p></o:p></p>' +
+      owaHeader('Anna', 'Q') + '<div><p class="x_MsoNormal">First<o:p></o:p></p></div></div>';
+    expect(cleaner.clean(html)).toBe(
+      'Latest<p><b>From:</b> Bob<br><b>Sent:</b> Friday<br><b>Subject:</b> RE: Q</p>' +
+      '<blockquote><p>Middle</p><p><b>From:</b> Anna<br><b>Sent:</b> Friday<br><b>Subject:</b> Q</p>' +
+      '<blockquote><p>First</p></blockquote></blockquote>'
+    );
+  });
+
+  it('unwraps borderless signature layout tables but keeps bordered tables', () => {
+    const html = '<p class="MsoNormal">Regards<o:p></o:p></p>' +
+      '<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0"><tbody><tr>' +
+      '<td style="padding:0cm 5.4pt 0cm 0cm"><p class="MsoNormal"><img src="https://example.com/logo.png" width="40"><o:p></o:p></p></td>' +
+      '<td style="border:none;padding:0cm"><p class="MsoNormal"><b>Anna Example</b><o:p></o:p></p></td>' +
+      '</tr></tbody></table>' +
+      '<table class="MsoNormalTable"><tbody><tr><td style="border:solid windowtext 1.0pt"><p class="MsoNormal">data<o:p></o:p></p></td></tr></tbody></table>' +
+      `<p class="MsoNormal"><a href="${SAFE}">link</a></p>`;
+    const out = cleaner.clean(html);
+    expect(out).toContain('<p>Regards</p><p><img src="https://example.com/logo.png" width="40"></p><p><b>Anna Example</b></p>');
+    expect(out).toContain('<td style="border:solid windowtext 1.0pt">data</td>');
+  });
+});
+
+describe('paste-from-word: PowerPoint and OneNote', () => {
+  const cleaner = new WordCleaner();
+
+  const PPT_HEAD = '<html xmlns:p="urn:schemas-microsoft-com:office:powerpoint">' +
+    '<head><meta name=ProgId content=PowerPoint.Slide><meta name=Generator content="Microsoft PowerPoint 15"></head><body>';
+  const ONENOTE_HEAD = '<html><head><meta name=ProgId content=OneNote.File>' +
+    '<meta name=Generator content="Microsoft OneNote 15"></head><body lang=en-US>';
+
+  it('detects PowerPoint and OneNote markup', () => {
+    expect(cleaner.detectSourceType(PPT_HEAD + '<div>x</div>')).toBe('powerpoint');
+    expect(cleaner.detectSourceType(ONENOTE_HEAD + '<div>x</div>')).toBe('onenote');
+    expect(cleaner.isWordContent(ONENOTE_HEAD + '<div>x</div>')).toBe(true);
+  });
+
+  it('puts slide text boxes in reading order and turns bullets into lists', () => {
+    const html = PPT_HEAD +
+      '<div style="position:absolute;top:60%;left:10%;width:80%">' +
+      '<div class="O" style="mso-char-wrap:1"><span style="position:absolute;left:-3.3%">•</span><span style="font-size:2000%">First point</span></div>' +
+      '<div class="O1"><span style="position:absolute;left:-2.9%">–</span><span>Detail</span></div>' +
+      '<div class="O"><span style="position:absolute;left:-3.3%">•</span><span>Second point</span></div>' +
+      '</div>' +
+      '<div style="position:absolute;top:10%;left:10%;width:80%"><div class="T"><span>Slide title</span></div></div>' +
+      '</body></html>';
+    expect(cleaner.clean(html)).toBe(
+      '<p>Slide title</p><ul><li>First point<ul><li>Detail</li></ul></li><li>Second point</li></ul>'
+    );
+  });
+
+  it('keeps numbered slide paragraphs as an ordered list', () => {
+    const html = PPT_HEAD + '<div style="position:absolute;top:20%;left:5%">' +
+      '<div class="O"><span style="position:absolute">1.</span>Plan</div>' +
+      '<div class="O"><span style="position:absolute">2.</span>Build</div></div></body></html>';
+    expect(cleaner.clean(html)).toBe('<ol><li>Plan</li><li>Build</li></ol>');
+  });
+
+  it('nests flat OneNote outline lists', () => {
+    const html = ONENOTE_HEAD + '<div style="position:absolute;top:1in;left:0.5in">' +
+      '<ul><li>Top</li><ul><li>Nested</li></ul><li>Next</li></ul></div></body></html>';
+    expect(cleaner.clean(html)).toBe('<ul><li>Top<ul><li>Nested</li></ul></li><li>Next</li></ul>');
+  });
+
+  it('turns OneNote to-do tags into checkbox list items', () => {
+    const html = ONENOTE_HEAD + '<div style="position:absolute;top:1in;left:0.5in">' +
+      '<p><img src="file:///C:/Temp/todo.png" alt="To Do">Buy milk</p>' +
+      '<p><img src="file:///C:/Temp/done.png" alt="To Do (completed)">Call Anna</p>' +
+      '<p data-tag="to-do">Write report</p>' +
+      '<ul><li>&#9744; Open item</li><li>&#9746; Done item</li></ul></div></body></html>';
+    expect(cleaner.clean(html)).toBe(
+      '<ul class="task-list"><li><input type="checkbox" disabled=""> Buy milk</li>' +
+      '<li><input type="checkbox" disabled="" checked=""> Call Anna</li>' +
+      '<li><input type="checkbox" disabled=""> Write report</li>' +
+      '<li><input type="checkbox" disabled=""> Open item</li>' +
+      '<li><input type="checkbox" disabled="" checked=""> Done item</li></ul>'
+    );
+  });
+
+  it('keeps bullets next to OneNote to-do items out of the task list', () => {
+    const html = ONENOTE_HEAD + '<div style="position:absolute;top:1in;left:0.5in">' +
+      '<ul><li>Agenda</li><li>&#9744; Book room</li><li>&#9746; Send invite</li><li>Notes</li></ul></div></body></html>';
+    expect(cleaner.clean(html)).toBe(
+      '<ul><li>Agenda</li></ul>' +
+      '<ul class="task-list"><li><input type="checkbox" disabled=""> Book room</li>' +
+      '<li><input type="checkbox" disabled="" checked=""> Send invite</li></ul>' +
+      '<ul><li>Notes</li></ul>'
+    );
+  });
+
+  it('strips classes that are not in allowedClasses', () => {
+    const html = '<p class="MsoNormal task-list other">x<o:p></o:p></p>';
+    expect(cleaner.clean(html)).toBe('<p class="task-list">x</p>');
+  });
+});
+
+describe('paste-from-word: footnotes and endnotes', () => {
+  let cleaner;
+  // A fixed, empty id prefix keeps the expected HTML readable
+  beforeEach(() => { cleaner = new WordCleaner({ noteIdPrefix: '' }); });
+
+  const desktopRef = (prefix, n, label) =>
+    `<a style="mso-${prefix === 'ftn' ? 'footnote' : 'endnote'}-id:${prefix}${n}" href="#_${prefix}${n}" name="_${prefix}ref${n}" title="">` +
+    `<span class="Mso${prefix === 'ftn' ? 'Footnote' : 'Endnote'}Reference"><span style="mso-special-character:footnote">` +
+    `<![if !supportFootnotes]><span class="MsoFootnoteReference"><span style="font-size:11.0pt;line-height:107%">[${label}]</span></span>` +
+    '<![endif]></span></span></a>';
+  const desktopNote = (prefix, n, label, text) =>
+    `<div style="mso-element:${prefix === 'ftn' ? 'footnote' : 'endnote'}" id="${prefix}${n}">` +
+    `<p class="MsoFootnoteText"><a style="mso-footnote-id:${prefix}${n}" href="#_${prefix}ref${n}" name="_${prefix}${n}" title="">` +
+    `<span class="MsoFootnoteReference"><span style="mso-special-character:footnote"><![if !supportFootnotes]>` +
+    `<span class="MsoFootnoteReference"><span style="font-size:10.0pt">[${label}]</span></span><![endif]></span></span></a>` +
+    ` ${text}<o:p></o:p></p></div>`;
+
+  it('turns Word desktop footnotes into linked references and a notes list', () => {
+    const html = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body>' +
+      `<p class="MsoNormal">First claim${desktopRef('ftn', 1, 1)} and second${desktopRef('ftn', 2, 2)}.<o:p></o:p></p>` +
+      '<div style="mso-element:footnote-list"><![if !supportFootnotes]><br clear="all"><hr align="left" size="1" width="33%"><![endif]>' +
+      desktopNote('ftn', 1, 1, 'See <i>Smith</i>, p. 4.') + desktopNote('ftn', 2, 2, 'Ibid.') +
+      '</div></body></html>';
+    expect(cleaner.clean(html)).toBe(
+      '<p>First claim<sup><a href="#fn1" id="fnref1">1</a></sup> and second<sup><a href="#fn2" id="fnref2">2</a></sup>.</p>' +
+      '<ol class="footnotes"><li id="fn1">See <i>Smith</i>, p. 4. <a href="#fnref1">↩</a></li>' +
+      '<li id="fn2">Ibid. <a href="#fnref2">↩</a></li></ol>'
+    );
+  });
+
+  it('keeps endnotes in a separate list and renumbers notes from 1', () => {
+    const html = '<p class="MsoNormal">Text' + desktopRef('ftn', 3, 3) + desktopRef('edn', 1, 'i') + '<o:p></o:p></p>' +
+      '<div style="mso-element:footnote-list">' + desktopNote('ftn', 3, 3, 'Foot.') + '</div>' +
+      '<div style="mso-element:endnote-list">' + desktopNote('edn', 1, 'i', 'End.') + '</div>';
+    expect(cleaner.clean(html)).toBe(
+      '<p>Text<sup><a href="#fn1" id="fnref1">1</a></sup><sup><a href="#en1" id="enref1">1</a></sup></p>' +
+      '<ol class="footnotes"><li id="fn1">Foot. <a href="#fnref1">↩</a></li></ol>' +
+      '<ol class="endnotes"><li id="en1">End. <a href="#enref1">↩</a></li></ol>'
+    );
+  });
+
+  it('does not leave bracketed numbers when the note text was not copied', () => {
+    const html = `<p class="MsoNormal">Claim${desktopRef('ftn', 1, 1)}<o:p></o:p></p>`;
+    expect(cleaner.clean(html)).toBe('<p>Claim<sup>1</sup></p>');
+  });
+
+  it('does not merge the notes into a numbered list that ends the fragment', () => {
+    const html = '<p class="MsoListNumber" style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.</span>Step' +
+      desktopRef('ftn', 1, 1) + '<o:p></o:p></p>' + desktopNote('ftn', 1, 1, 'Note.');
+    expect(cleaner.clean(html)).toBe(
+      '<ol><li>Step<sup><a href="#fn1" id="fnref1">1</a></sup></li></ol>' +
+      '<ol class="footnotes"><li id="fn1">Note. <a href="#fnref1">↩</a></li></ol>'
+    );
+  });
+
+  it('matches Word Online footnote references and note paragraphs by order', () => {
+    const html = '<div class="OutlineElement Ltr SCXW1 BCX0"><p class="Paragraph SCXW1 BCX0">' +
+      '<span class="TextRun SCXW1 BCX0" style="color: windowtext"><span class="NormalTextRun SCXW1 BCX0">Claim</span></span>' +
+      '<span class="FootnoteReference SCXW1 BCX0"><span class="NormalTextRun SCXW1 BCX0">1</span></span></p></div>' +
+      '<div class="OutlineElement Ltr SCXW1 BCX0"><p class="Paragraph SCXW1 BCX0">' +
+      '<span class="FootnoteReference SCXW1 BCX0">1</span>' +
+      '<span class="TextRun SCXW1 BCX0"><span class="NormalTextRun SCXW1 BCX0" data-ccp-parastyle="footnote text"> The source.</span></span></p></div>';
+    expect(cleaner.clean(html)).toBe(
+      '<p>Claim<sup><a href="#fn1" id="fnref1">1</a></sup></p>' +
+      '<ol class="footnotes"><li id="fn1">The source. <a href="#fnref1">↩</a></li></ol>'
+    );
+  });
+
+  const footnoted = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body>' +
+    `<p class="MsoNormal">Claim${desktopRef('ftn', 1, 1)}<o:p></o:p></p>` +
+    `<div style="mso-element:footnote-list">${desktopNote('ftn', 1, 1, 'Note.')}</div></body></html>`;
+
+  it('prefixes note ids with noteIdPrefix', () => {
+    expect(new WordCleaner({ noteIdPrefix: 'doc2-' }).clean(footnoted)).toBe(
+      '<p>Claim<sup><a href="#doc2-fn1" id="doc2-fnref1">1</a></sup></p>' +
+      '<ol class="footnotes"><li id="doc2-fn1">Note. <a href="#doc2-fnref1">↩</a></li></ol>'
+    );
+  });
+
+  it('generates a new id prefix for every paste by default', () => {
+    const defaults = new WordCleaner();
+    const ids = html => Array.from(html.matchAll(/id="([^"]+)"/g), m => m[1]);
+    const first = defaults.clean(footnoted);
+    const second = defaults.clean(footnoted);
+    expect(ids(first)).toEqual([expect.stringMatching(/^pfw-\w+-fnref1$/), expect.stringMatching(/^pfw-\w+-fn1$/)]);
+    expect(ids(first).filter(id => ids(second).includes(id))).toEqual([]);
+    // Links still point at the ids of the same paste
+    const [refId, noteId] = ids(first);
+    expect(first).toContain(`href="#${noteId}"`);
+    expect(first).toContain(`href="#${refId}"`);
+  });
+
+  it('uses one generated prefix for the footnotes and endnotes of a paste', () => {
+    const html = '<p class="MsoNormal">Text' + desktopRef('ftn', 1, 1) + desktopRef('edn', 1, 'i') + '<o:p></o:p></p>' +
+      '<div style="mso-element:footnote-list">' + desktopNote('ftn', 1, 1, 'Foot.') + '</div>' +
+      '<div style="mso-element:endnote-list">' + desktopNote('edn', 1, 'i', 'End.') + '</div>';
+    const ids = Array.from(new WordCleaner().clean(html).matchAll(/id="(pfw-\w+-)/g), m => m[1]);
+    expect(ids).toHaveLength(4);
+    expect(new Set(ids).size).toBe(1);
+  });
+
+  it('keeps note ids and links whatever allowedAttributes allows', () => {
+    const strict = new WordCleaner({ noteIdPrefix: '', allowedAttributes: { A: [], LI: [] } });
+    expect(strict.clean(footnoted)).toBe(
+      '<p>Claim<sup><a href="#fn1" id="fnref1">1</a></sup></p>' +
+      '<ol class="footnotes"><li id="fn1">Note. <a href="#fnref1">↩</a></li></ol>'
+    );
+  });
+
+  it('rejects a noteIdPrefix that is not usable in ids', () => {
+    expect(() => new WordCleaner({ noteIdPrefix: 'a b' })).toThrow(/noteIdPrefix/);
+    expect(() => new WordCleaner({ noteIdPrefix: 3 })).toThrow(/noteIdPrefix/);
+  });
+});
+
+describe('paste-from-word: tracked changes and comments', () => {
+  const revisions = '<p class="MsoNormal">The <del cite="mailto:Anna%20Example" datetime="2026-10-05T10:12">' +
+    '<span class="msoDel">old</span></del><ins cite="mailto:Anna%20Example" datetime="2026-10-05T10:12">' +
+    '<span class="msoIns">new</span></ins> plan<span class="msoIns"> today</span><o:p></o:p></p>';
+
+  it('accepts tracked changes by default', () => {
+    expect(new WordCleaner().clean(revisions)).toBe('<p>The new plan today</p>');
+  });
+
+  it('rejects tracked changes', () => {
+    expect(new WordCleaner({ trackChanges: 'reject' }).clean(revisions)).toBe('<p>The old plan</p>');
+  });
+
+  it('preserves tracked changes as clean ins/del', () => {
+    expect(new WordCleaner({ trackChanges: 'preserve' }).clean(revisions))
+      .toBe('<p>The <del>old</del><ins>new</ins> plan<ins> today</ins></p>');
+  });
+
+  it('does not nest ins/del when an msoIns/msoDel span holds the element', () => {
+    const html = '<p class="MsoNormal">A <span class="msoIns"><ins cite="mailto:Anna%20Example">new</ins></span>' +
+      ' and <span class="msoDel"><del cite="mailto:Anna%20Example">old</del></span> word<o:p></o:p></p>';
+    expect(new WordCleaner({ trackChanges: 'preserve' }).clean(html))
+      .toBe('<p>A <ins>new</ins> and <del>old</del> word</p>');
+  });
+
+  const commented = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body>' +
+    '<p class="MsoNormal">Budget<span class="MsoCommentReference"><span style="font-size:8.0pt">' +
+    '<a class="msocomanchor" id="_anchor_1" onmouseover="msoCommentShow(\'_anchor_1\',\'_com_1\')" ' +
+    'href="#_msocom_1" language="JavaScript" name="_msoanchor_1">[AE1]</a>&nbsp;</span></span> is final.<o:p></o:p></p>' +
+    '<div style="mso-element:comment-list"><![if !supportAnnotations]><hr class="msocomoff" align="left" size="1" width="33%"><![endif]>' +
+    '<div style="mso-element:comment"><![if !supportAnnotations]><div id="_com_1" class="msocomtxt" language="JavaScript"><![endif]>' +
+    '<div><![if !supportAnnotations]><a name="_msocom_1"></a><![endif]>' +
+    '<p class="MsoCommentText"><span class="MsoCommentReference"><span style="font-size:8.0pt">&nbsp;' +
+    '<![if !supportAnnotations]><a href="#_msoanchor_1" class="msocomoff">[AE1]</a><![endif]></span></span>Check the totals.<o:p></o:p></p>' +
+    '</div><![if !supportAnnotations]></div><![endif]></div></div></body></html>';
+
+  it('drops comments by default', () => {
+    expect(new WordCleaner().clean(commented)).toBe('<p>Budget is final.</p>');
+  });
+
+  it('puts comments inline', () => {
+    expect(new WordCleaner({ comments: 'inline' }).clean(commented))
+      .toBe('<p>Budget [AE: Check the totals.] is final.</p>');
+  });
+
+  it('puts comments with several paragraphs inline without nesting paragraphs', () => {
+    const twoLines = commented.replace('Check the totals.<o:p></o:p></p>',
+      'Line one<o:p></o:p></p><p class="MsoCommentText">&nbsp;<o:p></o:p></p><p class="MsoCommentText">Line two<o:p></o:p></p>');
+    expect(new WordCleaner({ comments: 'inline' }).clean(twoLines))
+      .toBe('<p>Budget [AE: Line one; Line two] is final.</p>');
+  });
+
+  it('adds comments to the endnotes list', () => {
+    expect(new WordCleaner({ comments: 'endnotes', noteIdPrefix: '' }).clean(commented)).toBe(
+      '<p>Budget<sup><a href="#en1" id="enref1">1</a></sup> is final.</p>' +
+      '<ol class="endnotes"><li id="en1">AE: Check the totals. <a href="#enref1">↩</a></li></ol>'
+    );
+  });
+
+  it('rejects unknown option values', () => {
+    expect(() => new WordCleaner({ trackChanges: 'keep' })).toThrow('unknown trackChanges option "keep"');
+    expect(() => new WordCleaner({ comments: 'hide' })).toThrow('unknown comments option "hide"');
+  });
+});
+
+describe('paste-from-word: equations', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const run = text => `<i><span style='font-family:"Cambria Math",serif'><m:r>${text}</m:r></span></i>`;
+  const equation = (omml, display = false) => {
+    const math = `<m:oMath>${omml}</m:oMath>`;
+    return '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:m="http://schemas.microsoft.com/office/2004/12/omml"><body>' +
+      `<p class="MsoNormal"><!--[if gte msEquation 12]>${display ? `<m:oMathPara>${math}</m:oMathPara>` : math}<![endif]-->` +
+      '<![if !msEquation]><span style="font-size:11.0pt;position:relative;top:3.0pt"><v:shape id="_x0000_i1025" type="#_x0000_t75" ' +
+      'style="width:40pt;height:15pt"><v:imagedata src="file:///C:/Users/anna/AppData/Local/Temp/msohtmlclip1/01/clip_image001.png" ' +
+      'o:title="" chromakey="white"/></v:shape></span><![endif]><o:p></o:p></p></body></html>';
+  };
+
+  it('converts fractions and superscripts and drops the fallback image', () => {
+    const html = equation('<m:f><m:fPr><m:ctrlPr></m:ctrlPr></m:fPr><m:num>' + run('a') + '</m:num>' +
+      '<m:den><m:sSup><m:sSupPr><m:ctrlPr/></m:sSupPr><m:e>' + run('x') + '</m:e><m:sup>' + run('2') + '</m:sup></m:sSup></m:den></m:f>' +
+      run('+1'));
+    expect(cleaner.clean(html)).toBe(
+      '<p><math><mfrac><mi>a</mi><msup><mi>x</mi><mn>2</mn></msup></mfrac><mo>+</mo><mn>1</mn></math></p>'
+    );
+  });
+
+  it('converts n-ary operators with limits and display equations', () => {
+    const html = equation('<m:nary><m:naryPr><m:chr m:val="∑"/><m:limLoc m:val="undOvr"/><m:ctrlPr/></m:naryPr>' +
+      '<m:sub>' + run('i=1') + '</m:sub><m:sup>' + run('n') + '</m:sup><m:e><m:sSub><m:sSubPr><m:ctrlPr/></m:sSubPr>' +
+      '<m:e>' + run('x') + '</m:e><m:sub>' + run('i') + '</m:sub></m:sSub></m:e></m:nary>', true);
+    expect(cleaner.clean(html)).toBe(
+      '<p><math display="block"><mrow><munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover>' +
+      '<msub><mi>x</mi><mi>i</mi></msub></mrow></math></p>'
+    );
+  });
+
+  it('converts radicals with and without degree', () => {
+    const html = equation('<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>' + run('x') + '</m:e></m:rad>' +
+      '<m:rad><m:deg>' + run('3') + '</m:deg><m:e>' + run('y') + '</m:e></m:rad>');
+    expect(cleaner.clean(html)).toBe(
+      '<p><math><msqrt><mi>x</mi></msqrt><mroot><mi>y</mi><mn>3</mn></mroot></math></p>'
+    );
+  });
+
+  it('converts matrices in delimiters and plain-style function names', () => {
+    const html = equation('<m:d><m:dPr><m:begChr m:val="["/><m:endChr m:val="]"/></m:dPr><m:e><m:m>' +
+      '<m:mr><m:e>' + run('1') + '</m:e><m:e>' + run('0') + '</m:e></m:mr>' +
+      '<m:mr><m:e>' + run('0') + '</m:e><m:e>' + run('1') + '</m:e></m:mr></m:m></m:e></m:d>' +
+      '<m:func><m:fName><m:r><m:rPr><m:sty m:val="p"/></m:rPr>sin</m:r></m:fName><m:e>' + run('θ') + '</m:e></m:func>');
+    expect(cleaner.clean(html)).toBe(
+      '<p><math><mrow><mo>[</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr>' +
+      '<mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable><mo>]</mo></mrow>' +
+      '<mrow><mi>sin</mi><mo>\u2061</mo><mi>θ</mi></mrow></math></p>'
+    );
+  });
+
+  it('converts OMML from .docx XML parts', () => {
+    const xml = cleaner.parseDocument(
+      '<m:oMathPara xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math" ' +
+      'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><m:oMath><m:sSup><m:e>' +
+      '<m:r><w:rPr><w:rFonts w:ascii="Cambria Math"/></w:rPr><m:t>e</m:t></m:r></m:e><m:sup>' +
+      '<m:r><m:t>iπ</m:t></m:r></m:sup></m:sSup><m:r><m:t>=-1</m:t></m:r></m:oMath></m:oMathPara>',
+      'application/xml'
+    );
+    const omath = xml.documentElement.firstElementChild;
+    expect(cleaner.ommlToMathml(omath, document).outerHTML).toBe(
+      '<math display="block"><msup><mi>e</mi><mrow><mi>i</mi><mi>π</mi></mrow></msup><mo>=</mo><mo>-</mo><mn>1</mn></math>'
+    );
+  });
+});
+
+describe('paste-from-word: symbol fonts', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  it('maps Wingdings and Symbol characters to Unicode before font-family is removed', () => {
+    const html = '<p class="MsoNormal">Done <span style="font-family:Wingdings;mso-ascii-font-family:Calibri;' +
+      'mso-char-type:symbol;mso-symbol-font-family:Wingdings"><span style="mso-char-type:symbol;mso-symbol-font-family:Wingdings">ü</span></span>' +
+      ' next <span style="font-family:Wingdings">à</span> angle <span style="font-family:Symbol">a</span>' +
+      '<span style="font-family:&quot;Wingdings 2&quot;">P</span><o:p></o:p></p>';
+    expect(cleaner.clean(html)).toBe('<p>Done ✓ next → angle α✓</p>');
+  });
+
+  it('maps private-use code points and Windows-1252 bytes', () => {
+    const html = '<p class="MsoNormal"><span style="font-family:Symbol">\uF0B7</span>' +
+      '<span style="font-family:Wingdings">‚ þ</span><o:p></o:p></p>';
+    expect(cleaner.clean(html)).toBe('<p>•② ☑</p>');
+  });
+
+  it('leaves text in other fonts inside a symbol-font span alone', () => {
+    const html = '<p class="MsoNormal"><span style="font-family:Symbol"><span style="font-family:Calibri">abc</span></span><o:p></o:p></p>';
+    expect(cleaner.clean(html)).toBe('<p>abc</p>');
+  });
+
+  it('translates Wingdings bullets in list markers', () => {
+    const html = '<p class="MsoListParagraph" style="mso-list:l0 level1 lfo1"><span style="font-family:Wingdings;' +
+      'mso-fareast-font-family:Wingdings;mso-bidi-font-family:Wingdings"><span style="mso-list:Ignore">§' +
+      '<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp;&nbsp; </span></span></span>Item<o:p></o:p></p>';
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    cleaner.convertSymbolFonts(container);
+    expect(container.querySelector('[style*="mso-list:Ignore"]').firstChild.nodeValue).toBe('▪');
+    expect(cleaner.clean(html)).toBe('<ul><li>Item</li></ul>');
+  });
+});
+
+describe('paste-from-word: list numbering', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const item = (marker, text, { level = 1, list = 'l0', lfo = 'lfo1' } = {}) =>
+    `<p class="MsoListParagraphCxSpMiddle" style="margin-left:${level * 36}pt;mso-list:${list} level${level} ${lfo}">` +
+    `<span style="mso-list:Ignore">${marker}<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp;&nbsp; </span></span>${text}<o:p></o:p></p>`;
+
+  it('parses list markers', () => {
+    expect(cleaner.parseListMarker('5.')).toEqual({ type: '1', start: 5 });
+    expect(cleaner.parseListMarker('3.2.')).toEqual({ type: '1', start: 2 });
+    expect(cleaner.parseListMarker('iv.')).toEqual({ type: 'i', start: 4 });
+    expect(cleaner.parseListMarker('XIV)')).toEqual({ type: 'I', start: 14 });
+    expect(cleaner.parseListMarker('C)')).toEqual({ type: 'A', start: 3 });
+    expect(cleaner.parseListMarker('(b)')).toEqual({ type: 'a', start: 2 });
+    expect(cleaner.parseListMarker('bb.')).toEqual({ type: 'a', start: 28 });
+    expect(cleaner.parseListMarker('o')).toBeNull();
+    expect(cleaner.parseListMarker('·')).toBeNull();
+  });
+
+  it('keeps the start number and numbering style', () => {
+    const html = item('5.', 'Five') + item('6.', 'Six') +
+      item('i.', 'Roman', { level: 2 }) + item('ii.', 'Roman 2', { level: 2 }) + item('7.', 'Seven');
+    expect(cleaner.clean(html)).toBe(
+      '<ol start="5"><li>Five</li><li>Six<ol type="i"><li>Roman</li><li>Roman 2</li></ol></li><li>Seven</li></ol>'
+    );
+  });
+
+  it('recognizes upper-case letters with a parenthesis as ordered', () => {
+    expect(cleaner.clean(item('A)', 'First') + item('B)', 'Second')))
+      .toBe('<ol type="A"><li>First</li><li>Second</li></ol>');
+  });
+
+  it('keeps a list continued after a paragraph numbered from where it left off', () => {
+    const html = item('1.', 'One') + item('2.', 'Two') + '<p class="MsoNormal">Note<o:p></o:p></p>' + item('3.', 'Three');
+    expect(cleaner.clean(html)).toBe('<ol><li>One</li><li>Two</li></ol><p>Note</p><ol start="3"><li>Three</li></ol>');
+  });
+
+  it('starts a new list when the list instance changes', () => {
+    const html = item('1.', 'One') + item('2.', 'Two') + item('1.', 'Again', { lfo: 'lfo2' }) + item('2.', 'More', { lfo: 'lfo2' });
+    expect(cleaner.clean(html)).toBe(
+      '<ol><li>One</li><li>Two</li></ol><ol start="1"><li>Again</li><li>More</li></ol>'
+    );
+  });
+
+  it('still merges lists whose numbering continues', () => {
+    const html = '<div><ol><li>Step 1</li></ol></div><div><ol start="2"><li>Step 2</li></ol></div>';
+    expect(cleaner.clean('<p style="color: windowtext">x</p>' + html)).toContain('<ol><li>Step 1</li><li>Step 2</li></ol>');
+  });
+
+  it('keeps multi-level clause numbers with legalNumbering', () => {
+    const html = item('3.', 'Scope') + item('3.1.', 'Goods', { level: 2 }) + item('3.1.1.', 'Delivery', { level: 3 }) + item('3.2.', 'Services', { level: 2 });
+    const marker = text => `<span class="list-marker" contenteditable="false">${text}</span> `;
+    expect(new WordCleaner({ legalNumbering: true }).clean(html)).toBe(
+      `<ol start="3" class="legal-list"><li>${marker('3.')}Scope` +
+      `<ol class="legal-list"><li>${marker('3.1.')}Goods` +
+      `<ol class="legal-list"><li>${marker('3.1.1.')}Delivery</li></ol></li>` +
+      `<li>${marker('3.2.')}Services</li></ol></li></ol>`
+    );
+    expect(cleaner.clean(html)).not.toContain('list-marker');
+  });
+
+  it('makes clause numbers non-editable whatever allowedAttributes allows on spans', () => {
+    const html = item('3.', 'Scope') + item('3.1.', 'Goods', { level: 2 });
+    const result = new WordCleaner({ legalNumbering: true, allowedAttributes: { SPAN: ['lang'] } }).clean(html);
+    expect(result).toContain('<span class="list-marker" contenteditable="false">3.1.</span>');
+    // Pasted spans do not keep contenteditable
+    expect(cleaner.clean('<p class="MsoNormal"><span contenteditable="false" style="color:red">x</span><o:p></o:p></p>'))
+      .toBe('<p><span style="color:red">x</span></p>');
+  });
+
+  it('keeps only the clause number in text paste mode', () => {
+    const legal = new WordCleaner({ legalNumbering: true });
+    const html = legal.clean(item('3.', 'Scope') + item('3.1.', 'Goods', { level: 2 }));
+    expect(legal.applyPasteMode(html, 'text')).toBe('<p>3. Scope</p><p>3.1. Goods</p>');
+  });
+
+  it('leaves single-level numbering alone with legalNumbering', () => {
+    expect(new WordCleaner({ legalNumbering: true }).clean(item('1.', 'One') + item('2.', 'Two')))
+      .toBe('<ol><li>One</li><li>Two</li></ol>');
+  });
+});
+
+describe('paste-from-word: indentation', () => {
+  const para = (text, style = '', cls = 'MsoNormal') =>
+    `<p class="${cls}"${style ? ` style="${style}"` : ''}>${text}<o:p></o:p></p>\n`;
+  const html = para('Body') + para('Indented', 'margin-left:36.0pt') + para('Deeper', 'margin-left:1.0in') + para('Back', 'margin-left:.5in');
+
+  it('turns quote styles into a blockquote', () => {
+    const quote = para('To be,', 'margin-left:43.2pt', 'MsoQuote') + para('or not to be.', '', 'MsoIntenseQuote');
+    expect(new WordCleaner().clean(para('Hamlet:') + quote).replace(/\n/g, ''))
+      .toBe('<p>Hamlet:</p><blockquote><p>To be,</p><p>or not to be.</p></blockquote>');
+  });
+
+  it('drops plain indents by default', () => {
+    expect(new WordCleaner().clean(html).replace(/\n/g, ''))
+      .toBe('<p>Body</p><p>Indented</p><p>Deeper</p><p>Back</p>');
+  });
+
+  it('nests blockquotes by indent level', () => {
+    expect(new WordCleaner({ indentation: 'blockquote' }).clean(html).replace(/\n/g, '')).toBe(
+      '<p>Body</p><blockquote><p>Indented</p><blockquote><p>Deeper</p></blockquote><p>Back</p></blockquote>'
+    );
+  });
+
+  it('writes Summernote indent steps', () => {
+    expect(new WordCleaner({ indentation: 'summernote' }).clean(html).replace(/\n/g, '')).toBe(
+      '<p>Body</p><p style="margin-left: 25px">Indented</p><p style="margin-left: 50px">Deeper</p>' +
+      '<p style="margin-left: 25px">Back</p>'
+    );
+  });
+
+  it('rounds margins to em steps', () => {
+    expect(new WordCleaner({ indentation: 'margin' }).clean(para('Small', 'margin-left:1cm') + para('Wide', 'margin-left:72pt')).replace(/\n/g, ''))
+      .toBe('<p style="margin-left: 2em">Small</p><p style="margin-left: 6em">Wide</p>');
+  });
+
+  it('keeps first-line and hanging indents in the margin modes', () => {
+    const indents = para('First', 'text-indent:36.0pt') + para('Hanging', 'margin-left:36.0pt;text-indent:-36.0pt');
+    expect(new WordCleaner({ indentation: 'summernote' }).clean(indents).replace(/\n/g, '')).toBe(
+      '<p style="text-indent: 25px">First</p><p style="margin-left: 25px; text-indent: -25px">Hanging</p>'
+    );
+    expect(new WordCleaner({ indentation: 'margin' }).clean(indents).replace(/\n/g, '')).toBe(
+      '<p style="text-indent: 3em">First</p><p style="margin-left: 3em; text-indent: -3em">Hanging</p>'
+    );
+    expect(new WordCleaner({ indentation: 'blockquote' }).clean(indents).replace(/\n/g, ''))
+      .toBe('<p>First</p><blockquote><p>Hanging</p></blockquote>');
+  });
+
+  it('rejects unknown indentation options', () => {
+    expect(() => new WordCleaner({ indentation: 'tabs' })).toThrow('unknown indentation option "tabs"');
+  });
+});
+
+describe('paste-from-word: lists at any depth', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const item = (text, level = 1) =>
+    `<p class="MsoListParagraphCxSpMiddle" style="margin-left:${level * 36}pt;mso-list:l0 level${level} lfo1">` +
+    `<span style="font-family:Symbol"><span style="mso-list:Ignore">\u00b7<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp; </span></span></span>${text}<o:p></o:p></p>\n`;
+
+  it('rebuilds lists inside table cells', () => {
+    const html = '<table class="MsoTableGrid"><tr>' +
+      `<td>\n<p class="MsoNormal">Needs:<o:p></o:p></p>\n${item('Login')}${item('SSO', 2)}${item('Export')}</td>` +
+      `<td>\n${item('Done')}</td></tr></table>`;
+    expect(cleaner.clean(html).replace(/\n/g, '')).toBe(
+      '<table><tbody><tr>' +
+      '<td>Needs:<ul><li>Login<ul><li>SSO</li></ul></li><li>Export</li></ul></td>' +
+      '<td><ul><li>Done</li></ul></td></tr></tbody></table>'
+    );
+  });
+
+  it('rebuilds lists inside section and indented blocks', () => {
+    const html = `<div class="WordSection1">\n${item('One')}${item('Two')}</div>` +
+      `<blockquote>${item('Quoted')}</blockquote>`;
+    expect(cleaner.clean(html).replace(/\n/g, '')).toBe(
+      '<ul><li>One</li><li>Two</li></ul><blockquote><ul><li>Quoted</li></ul></blockquote>'
+    );
+  });
+});
+
+describe('paste-from-word: Word checklists', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const wingdingsItem = (bullet, text) =>
+    `<p class="MsoListParagraphCxSpMiddle" style="margin-left:36pt;mso-list:l0 level1 lfo1">` +
+    `<span style="font-family:Wingdings;mso-fareast-font-family:Wingdings"><span style="mso-list:Ignore">${bullet}` +
+    `<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp; </span></span></span>${text}<o:p></o:p></p>`;
+
+  const box = checked => `<input type="checkbox" disabled=""${checked ? ' checked=""' : ''}>`;
+
+  it('turns Wingdings ballot box bullets into a task list', () => {
+    const html = wingdingsItem('\u00a8', 'Send minutes') + wingdingsItem('\u00fe', 'Book room');
+    expect(cleaner.clean(html)).toBe(
+      `<ul class="task-list"><li>${box(false)} Send minutes</li><li>${box(true)} Book room</li></ul>`
+    );
+  });
+
+  it('turns checkbox content controls in list items into task items', () => {
+    const item = (glyph, text) =>
+      `<p class="MsoListParagraphCxSpMiddle" style="margin-left:36pt;mso-list:l0 level1 lfo1">` +
+      `<span style="font-family:Symbol"><span style="mso-list:Ignore">\u00b7<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp; </span></span></span>` +
+      `<span style="font-family:&quot;MS Gothic&quot;">${glyph}</span> ${text}<o:p></o:p></p>`;
+    expect(cleaner.clean(item('\u2610', 'Draft agenda') + item('\u2612', 'Invite team'))).toBe(
+      `<ul class="task-list"><li>${box(false)} Draft agenda</li><li>${box(true)} Invite team</li></ul>`
+    );
+  });
+
+  it('keeps a task list apart from the bullets before it', () => {
+    const html = wingdingsItem('\u00a7', 'Note') + wingdingsItem('\u00a8', 'Task');
+    expect(cleaner.clean(html)).toBe(
+      `<ul><li>Note</li></ul><ul class="task-list"><li>${box(false)} Task</li></ul>`
+    );
+  });
+
+  it('turns Word Online checkbox bullets into a task list', () => {
+    const item = (bullet, text) =>
+      `<div class="ListContainerWrapper SCXW1 BCX8"><ul class="BulletListStyle1 SCXW1 BCX8">` +
+      `<li data-leveltext="${bullet}" data-font="Wingdings" data-listid="3" data-aria-level="1" class="OutlineElement SCXW1 BCX8">` +
+      `<p class="Paragraph SCXW1 BCX8"><span class="TextRun SCXW1 BCX8">${text}</span></p></li></ul></div>`;
+    expect(cleaner.clean(item('\uf0a8', 'Review') + item('\uf0fe', 'Approve'))).toBe(
+      `<ul class="task-list"><li>${box(false)} Review</li><li>${box(true)} Approve</li></ul>`
+    );
+  });
+
+  it('writes task items as ballot boxes in text-only mode', () => {
+    const html = `<ul class="task-list"><li>${box(false)} Review</li><li>${box(true)} Approve</li></ul>`;
+    expect(cleaner.applyPasteMode(html, 'text')).toBe('<p>\u2610 Review</p><p>\u2611 Approve</p>');
+  });
+});
+
+describe('paste-from-word: mixed list nesting', () => {
+  let cleaner;
+  beforeEach(() => { cleaner = new WordCleaner(); });
+
+  const item = (marker, text, { level = 1, list = 'l0', lfo = 'lfo1' } = {}) =>
+    `<p class="MsoListParagraphCxSpMiddle" style="margin-left:${level * 36}pt;mso-list:${list} level${level} ${lfo}">` +
+    `<span style="mso-list:Ignore">${marker}<span style="font:7.0pt &quot;Times New Roman&quot;">&nbsp;&nbsp; </span></span>${text}<o:p></o:p></p>`;
+
+  const onlineItem = (text, { level = 1, tag = 'ul', listId = '2' } = {}) =>
+    `<div class="ListContainerWrapper SCXW1 BCX8"><${tag} class="BulletListStyle1 SCXW1 BCX8">` +
+    `<li data-aria-level="${level}" data-listid="${listId}" class="OutlineElement SCXW1 BCX8">` +
+    `<p class="Paragraph SCXW1 BCX8"><span class="TextRun SCXW1 BCX8">${text}</span></p></li></${tag}></div>`;
+
+  it('nests bullets under a numbered item', () => {
+    const html = item('1.', 'One') + item('·', 'Dot', { level: 2 }) + item('·', 'Dot 2', { level: 2 }) + item('2.', 'Two');
+    expect(cleaner.clean(html)).toBe('<ol><li>One<ul><li>Dot</li><li>Dot 2</li></ul></li><li>Two</li></ol>');
+  });
+
+  it('nests numbers under a bulleted item', () => {
+    const html = item('·', 'Dot') + item('a.', 'Sub a', { level: 2 }) + item('b.', 'Sub b', { level: 2 });
+    expect(cleaner.clean(html)).toBe('<ul><li>Dot<ol type="a"><li>Sub a</li><li>Sub b</li></ol></li></ul>');
+  });
+
+  it('opens a sibling list when the type changes within a level', () => {
+    const html = item('1.', 'One') + item('a.', 'Sub a', { level: 2 }) + item('·', 'Dot', { level: 2 });
+    expect(cleaner.clean(html)).toBe('<ol><li>One<ol type="a"><li>Sub a</li></ol><ul><li>Dot</li></ul></li></ol>');
+  });
+
+  it('keeps adjacent bullet lists with different list ids apart', () => {
+    const html = item('·', 'A') + item('·', 'B') + item('·', 'C', { list: 'l1', lfo: 'lfo2' });
+    expect(cleaner.clean(html)).toBe('<ul><li>A</li><li>B</li></ul><ul><li>C</li></ul>');
+  });
+
+  it('splits a top-level run when bullets follow numbers', () => {
+    const html = item('1.', 'One') + item('·', 'Dot');
+    expect(cleaner.clean(html)).toBe('<ol><li>One</li></ol><ul><li>Dot</li></ul>');
+  });
+
+  it('keeps Word Online lists with different data-listid apart', () => {
+    const html = onlineItem('First') + onlineItem('Second') + onlineItem('Other', { listId: '5' });
+    expect(cleaner.clean(html)).toBe('<ul><li>First</li><li>Second</li></ul><ul><li>Other</li></ul>');
+  });
+
+  it('nests Word Online numbers under bullets', () => {
+    const html = onlineItem('Dot') + onlineItem('Sub', { level: 2, tag: 'ol' }) + onlineItem('Dot 2');
+    expect(cleaner.clean(html)).toBe('<ul><li>Dot<ol><li>Sub</li></ol></li><li>Dot 2</li></ul>');
+  });
 });
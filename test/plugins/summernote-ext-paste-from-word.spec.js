@@ -0,0 +1,197 @@
+/**
+ * summernote-ext-paste-from-word.spec.js
+ * Tests for the Summernote plugin's image upload flow.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import $ from 'jquery';
+import WordCleaner from '@/js/plugin/paste-from-word';
+
+const PLUGIN = readFileSync(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../summernote-ext-paste-from-word.js'), 'utf8');
+
+const IMAGE_SRC = 'data:image/png;base64,iVBORw0KGgo=';
+
+// The parts of Summernote the plugin touches when it is loaded and created
+function stubSummernote() {
+  window.jQuery = $;
+  $.summernote = {
+    plugins: {},
+    lang: { 'en-US': {} },
+    ui: {
+      button: options => ({ render: () => $('<button>').addClass(options.className) }),
+      buttonGroup: () => ({ render: () => $('<div>') }),
+      popover: () => ({ render: () => $('<div class="note-popover">') }),
+    },
+    WordCleaner,
+  };
+}
+
+function createPlugin(options, callbacks = {}) {
+  const $editable = $('<div class="note-editable">').appendTo(document.body);
+  const context = {
+    options: { pasteFromWord: options, callbacks, langInfo: {}, container: 'body' },
+    layoutInfo: { editable: $editable, editor: $('<div>'), note: $('<textarea>') },
+    memo: () => {},
+    invoke: () => {},
+    triggerEvent: vi.fn(),
+  };
+  const plugin = new $.summernote.plugins['paste-from-word'](context);
+  return { plugin, $editable, context };
+}
+
+// Run uploadImages() on one image and put the result into the editor
+function pasteImage(plugin, $editable, src = IMAGE_SRC) {
+  $editable.html(plugin.uploadImages(`<p><img src="${src}" alt="Logo"></p>`));
+  return $editable.find('img');
+}
+
+describe('paste-from-word: plugin image upload', () => {
+  beforeAll(() => {
+    stubSummernote();
+    // Load the plugin as a script tag would: no module system, globals only
+    new Function('module', 'define', PLUGIN)();
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ blob: () => Promise.resolve(new Blob(['x'], { type: 'image/png' })) })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  it('swaps the placeholder for the uploaded URL', async () => {
+    const uploadImage = vi.fn(() => Promise.resolve('https://cdn.example.com/logo.png'));
+    const { plugin, $editable, context } = createPlugin({ uploadImage });
+    const $img = pasteImage(plugin, $editable);
+    expect($img.attr('src')).toMatch(/^data:image\/svg\+xml,/);
+
+    await vi.waitFor(() => expect($editable.find('img').attr('src')).toBe('https://cdn.example.com/logo.png'));
+    expect($editable.find('img').attr('data-pfw-upload')).toBeUndefined();
+    expect(uploadImage.mock.calls[0][0]).toMatchObject({ src: IMAGE_SRC, alt: 'Logo' });
+    expect(uploadImage.mock.calls[0][0].file).toBeInstanceOf(File);
+    expect(context.triggerEvent).toHaveBeenCalledWith('change', expect.any(String), $editable);
+  });
+
+  it('puts the original image back when the upload is rejected', async () => {
+    const { plugin, $editable } = createPlugin({ uploadImage: () => Promise.reject(new Error('503')) });
+    pasteImage(plugin, $editable);
+    await vi.waitFor(() => expect($editable.find('img').attr('src')).toBe(IMAGE_SRC));
+    // A fallback, not an error of the host app
+    expect(console.log).toHaveBeenCalledWith('[paste-from-word] image upload failed', expect.any(Error));
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('leaves the image to an onImageUpload callback that inserts it itself', async () => {
+    // Summernote's usual callback: upload, insert the image, return nothing
+    const onImageUpload = vi.fn(function(files) {
+      $editable.append($('<img>').attr('src', `/media/${files[0].name}`));
+    });
+    const { plugin, $editable } = createPlugin({}, { onImageUpload });
+    pasteImage(plugin, $editable);
+    await vi.waitFor(() => expect($editable.find('img[data-pfw-upload]')).toHaveLength(0));
+    expect($editable.find('img')).toHaveLength(1);
+    expect($editable.find('img').attr('src')).toMatch(/^\/media\/pfw-upload-\d+\.png$/);
+    expect(onImageUpload.mock.calls[0][0]).toHaveLength(1);
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('keeps the original image when uploadImage resolves to nothing', async () => {
+    const { plugin, $editable } = createPlugin({ uploadImage: () => Promise.resolve(null) });
+    pasteImage(plugin, $editable);
+    await vi.waitFor(() => expect($editable.find('img').attr('src')).toBe(IMAGE_SRC));
+  });
+
+  it('uses a URL returned by onImageUpload', async () => {
+    const { plugin, $editable } = createPlugin({}, { onImageUpload: () => Promise.resolve('/media/1.png') });
+    pasteImage(plugin, $editable);
+    await vi.waitFor(() => expect($editable.find('img').attr('src')).toBe('/media/1.png'));
+  });
+
+  it('revokes a blob: source once it is uploaded', async () => {
+    const revoke = vi.fn();
+    vi.stubGlobal('URL', { revokeObjectURL: revoke });
+    const { plugin, $editable } = createPlugin({ uploadImage: () => Promise.resolve('/media/2.png') });
+    pasteImage(plugin, $editable, 'blob:http://localhost/1234');
+    await vi.waitFor(() => expect(revoke).toHaveBeenCalledWith('blob:http://localhost/1234'));
+  });
+
+  it('revokes clipboard blob: URLs the cleaned paste does not use', () => {
+    const revoke = vi.fn();
+    let count = 0;
+    vi.stubGlobal('URL', { createObjectURL: () => `blob:http://localhost/${++count}`, revokeObjectURL: revoke });
+    const { plugin, $editable, context } = createPlugin({ pasteOptions: false });
+    plugin.initialize();
+    const image = new File(['x'], 'image.png', { type: 'image/png' });
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = {
+      getData: type => (type === 'text/html'
+        ? '<p class="MsoNormal"><img src="file:///C:/Temp/image001.png"><o:p></o:p></p>'
+        : ''),
+      files: [image, image],
+    };
+    $editable[0].dispatchEvent(event);
+    expect(context.triggerEvent).toHaveBeenCalledWith('pfw.cleaned', expect.objectContaining({
+      cleanedHtml: '<p><img src="blob:http://localhost/1"></p>',
+    }));
+    expect(revoke.mock.calls).toEqual([['blob:http://localhost/2']]);
+    plugin.destroy();
+  });
+
+  it('leaves the HTML alone without an upload function', () => {
+    const { plugin } = createPlugin({});
+    const html = `<p><img src="${IMAGE_SRC}"></p>`;
+    expect(plugin.uploadImages(html)).toBe(html);
+  });
+});
+
+describe('paste-from-word: plugin loaded with a script tag', () => {
+  const SRC = 'https://cdn.example.com/pfw/summernote-ext-paste-from-word.js';
+
+  beforeEach(() => {
+    stubSummernote();
+    delete $.summernote.WordCleaner;
+    vi.stubGlobal('WordCleaner', undefined);
+    vi.stubGlobal('DocxConverter', undefined);
+    Object.defineProperty(document, 'currentScript', { configurable: true, get: () => ({ src: SRC }) });
+  });
+
+  afterEach(() => {
+    delete document.currentScript;
+    vi.unstubAllGlobals();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  it('loads WordCleaner and DocxConverter from next to the plugin file', async () => {
+    new Function('module', 'define', PLUGIN)();
+    const script = document.head.querySelector('script[type="module"]');
+    expect(script.src).toBe('https://cdn.example.com/pfw/src/js/plugin/docx-converter.js');
+
+    // An editor created before the module has run waits for it
+    const { plugin } = createPlugin({});
+    expect(plugin.shouldInitialize()).toBe(true);
+    plugin.initialize();
+    expect(plugin.cleaner).toBeNull();
+
+    // What the module does when it runs
+    window.WordCleaner = WordCleaner;
+    script.dispatchEvent(new Event('load'));
+    await vi.waitFor(() => expect(plugin.cleaner).toBeInstanceOf(WordCleaner));
+    plugin.destroy();
+  });
+
+  it('does not load anything when WordCleaner is already there', () => {
+    window.WordCleaner = WordCleaner;
+    new Function('module', 'define', PLUGIN)();
+    expect(document.head.querySelector('script[type="module"]')).toBeNull();
+  });
+});